@@ -0,0 +1,45 @@
+/**
+ * BlazeCraft Enhanced Example Agent
+ * A minimal custom agent (see agents.js): the base trains workers, two of
+ * them harvest the nearest resource patch, and the rest go for the nearest
+ * enemy in sight or, with none in sight, head for the far corner of the map.
+ * Load it with Open, by dropping it on the map, or with
+ * index.html?agent=agent-example.js.
+ */
+
+const HARVESTERS = 2;
+
+const dist = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+const nearest = (from, list) => list.reduce((best, t) => (!best || dist(from, t) < dist(from, best) ? t : best), null);
+
+export default {
+  name: 'Example agent',
+
+  act(obs) {
+    const orders = [];
+    const mine = obs.units.filter(u => u.owner === obs.owner);
+    const enemies = obs.units.filter(u => u.owner !== obs.owner);
+    const base = mine.find(u => u.type === 'base');
+    const workers = mine.filter(u => u.type === 'worker').sort((a, b) => a.id - b.id);
+    // Patches are part of the terrain, so they are known even out of sight
+    const patches = [];
+    obs.terrain.forEach((row, y) => row.forEach((cell, x) => { if (cell === 2) patches.push({ x, y }); }));
+    const corner = base && { x: base.x < obs.width / 2 ? obs.width - 1 : 0, y: base.y < obs.height / 2 ? obs.height - 1 : 0 };
+
+    if (base && base.queued === 0 && obs.gold >= obs.unitTypes.worker.cost) {
+      orders.push({ action: 'produce', unitType: 'worker' });
+    }
+    for (const u of mine) {
+      if (u.action !== 'noop' || u.busy > 0 || !obs.unitTypes[u.type].canMove) continue;
+      if (workers.indexOf(u) >= 0 && workers.indexOf(u) < HARVESTERS) {
+        if (u.carrying && base) orders.push({ unit: u.id, action: 'return', target: { x: base.x, y: base.y } });
+        else if (patches.length) orders.push({ unit: u.id, action: 'harvest', target: nearest(u, patches) });
+      } else if (enemies.length) {
+        orders.push({ unit: u.id, action: 'attack', target: nearest(u, enemies).id });
+      } else if (corner) {
+        orders.push({ unit: u.id, action: 'move', target: corner });
+      }
+    }
+    return orders;
+  },
+};
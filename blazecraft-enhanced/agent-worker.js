@@ -0,0 +1,28 @@
+/**
+ * BlazeCraft Enhanced Agent Worker
+ * Module worker that hosts one agent module (see agents.js) off the page
+ * thread. Messages from the page:
+ *   { type: 'load', url, name }  import the module; answers { type: 'ready', name }
+ *   { type: 'act', id, obs }     answers { type: 'orders', id, orders }
+ * Failures answer { type: 'error', id, message } (no id while loading).
+ */
+
+let agent = null;
+
+self.onmessage = async e => {
+  const msg = e.data;
+  try {
+    if (msg.type === 'load') {
+      const mod = await import(msg.url);
+      const exported = mod.default ?? mod;
+      agent = typeof exported === 'function' ? { act: exported } : exported;
+      if (typeof agent.act !== 'function') throw new Error('the module exports no act() function');
+      self.postMessage({ type: 'ready', name: agent.name || msg.name });
+    } else if (msg.type === 'act') {
+      const orders = await agent.act(msg.obs);
+      self.postMessage({ type: 'orders', id: msg.id, orders: orders ?? [] });
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', id: msg.id, message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * BlazeCraft Enhanced Agent Host
+ * Loads custom agents (see agents.js) from a file or URL and runs each in its
+ * own Web Worker (agent-worker.js), so a slow, hanging or crashing agent
+ * can't freeze the page. A loaded agent joins the player slot pickers and
+ * the league's agents next to the bots.
+ *
+ * Every step a free agent is sent its player's observation; the orders it
+ * sends back are given on the next step, unless they took longer than
+ * CONFIG.AGENT_BUDGET_MS, in which case they are dropped and the agent's
+ * units carry on with their current orders. No new observation goes out
+ * while one is unanswered, and a worker that stays silent for
+ * CONFIG.AGENT_TIMEOUT_MS is terminated and the agent reloaded.
+ */
+
+// ============================================================
+// LOADING
+// ============================================================
+const AGENTS = [];
+const AGENT_ERROR_LOG_LIMIT = 5;  // per agent, so a failing act() doesn't flood the log
+
+function loadAgent(url, name = url.split('/').pop()) {
+  const agent = {
+    id: `agent:${AGENTS.length + 1}`,
+    name,
+    url,
+    worker: null,
+    ready: false,
+    nextId: 1,
+    slots: {},   // owner -> { pending: { id, sent }, orders }
+    late: 0,
+    errors: 0,
+  };
+  agent.play = (gs, owner) => playAgent(agent, gs, owner);
+  agent.waiting = owner => agentWaiting(agent, owner);
+  agent.reset = () => { agent.slots = {}; };
+  AGENTS.push(agent);
+  startAgentWorker(agent);
+  for (const owner of [1, 2]) {
+    const opt = document.createElement('option');
+    opt.value = agent.id;
+    opt.textContent = name;
+    $(`#botP${owner}`)?.appendChild(opt);
+  }
+  $('#leagueAgents')?.appendChild(leagueCheckbox(agent.id, name, true));
+  return agent;
+}
+
+async function loadAgentFile(file) {
+  // Blob URLs created here are importable from the worker
+  const url = URL.createObjectURL(new Blob([await file.text()], { type: 'text/javascript' }));
+  loadAgent(url, file.name);
+}
+
+function startAgentWorker(agent) {
+  agent.ready = false;
+  agent.slots = {};
+  let worker;
+  try {
+    worker = new Worker('agent-worker.js', { type: 'module' });
+  } catch (err) {
+    log(`Agent ${agent.name}: ${err.message}`, 'error');
+    return;
+  }
+  agent.worker = worker;
+  worker.onmessage = e => onAgentMessage(agent, e.data);
+  worker.onerror = e => {
+    e.preventDefault();
+    log(`Agent ${agent.name}: ${e.message || 'worker failed to start'}`, 'error');
+  };
+  // Resolve page-relative URLs here; the worker resolves against its own
+  worker.postMessage({ type: 'load', url: new URL(agent.url, location.href).href, name: agent.name });
+}
+
+// The agent for a slot: a loaded agent or a bot
+function findAgent(id) {
+  return AGENTS.find(a => a.id === id) || findBot(id);
+}
+
+// ============================================================
+// PLAYING
+// ============================================================
+function playAgent(agent, gs, owner) {
+  const slot = agent.slots[owner] || (agent.slots[owner] = { pending: null, orders: [] });
+  const orders = slot.orders;
+  slot.orders = [];
+  if (slot.pending) {
+    if (performance.now() - slot.pending.sent > CONFIG.AGENT_TIMEOUT_MS) {
+      log(`Agent ${agent.name} did not answer in ${CONFIG.AGENT_TIMEOUT_MS / 1000}s, restarting it`, 'error');
+      agent.worker.terminate();
+      startAgentWorker(agent);
+    }
+  } else if (agent.ready) {
+    slot.pending = { id: agent.nextId++, sent: performance.now() };
+    agent.worker.postMessage({ type: 'act', id: slot.pending.id, obs: agentObservation(gs, owner) });
+  }
+  return orders;
+}
+
+// While loading or thinking, short of the timeout that restarts it (see
+// tournament.js)
+function agentWaiting(agent, owner) {
+  const pending = agent.slots[owner]?.pending;
+  if (pending) return performance.now() - pending.sent <= CONFIG.AGENT_TIMEOUT_MS;
+  return !agent.ready;
+}
+
+function onAgentMessage(agent, msg) {
+  if (msg.type === 'ready') {
+    agent.ready = true;
+    if (msg.name && msg.name !== agent.name) renameAgent(agent, msg.name);
+    addOpsEntry(`Agent ${agent.name} loaded`);
+    return;
+  }
+  const slot = Object.values(agent.slots).find(s => s.pending?.id === msg.id);
+  if (msg.type === 'error') {
+    if (!slot && !agent.ready) {
+      log(`Agent ${agent.name} failed to load: ${msg.message}`, 'error');
+      return;
+    }
+    if (agent.errors++ < AGENT_ERROR_LOG_LIMIT) log(`Agent ${agent.name}: ${msg.message}`, 'error');
+  }
+  if (!slot) return;
+  const elapsed = performance.now() - slot.pending.sent;
+  slot.pending = null;
+  if (msg.type !== 'orders') return;
+  if (elapsed > CONFIG.AGENT_BUDGET_MS) {
+    if (++agent.late % 20 === 1) addOpsEntry(`Agent ${agent.name} over budget (${Math.round(elapsed)}ms), orders dropped x${agent.late}`);
+    return;
+  }
+  slot.orders = sanitizeAgentOrders(msg.orders);
+}
+
+function renameAgent(agent, name) {
+  agent.name = name;
+  $$(`option[value="${agent.id}"]`).forEach(opt => { opt.textContent = name; });
+  const box = $(`#leagueAgents input[value="${agent.id}"]`);
+  if (box) box.nextSibling.textContent = ` ${name}`;
+}
+
+function initAgentHost() {
+  for (const url of new URLSearchParams(location.search).getAll('agent')) loadAgent(url);
+}
@@ -0,0 +1,80 @@
+/**
+ * BlazeCraft Enhanced Agent Interface
+ * What a custom agent sees and may do. DOM-free; agenthost.js runs agent
+ * modules in a Web Worker (agent-worker.js) and plays them in a player slot
+ * like a bot (see bots.js).
+ *
+ * An agent is an ES module whose default export (or the module itself) has
+ *   act(observation) -> orders         may return a promise
+ *   name                               optional display name
+ * or whose default export is the act function. See agent-example.js.
+ *
+ * The observation is agentObservation(gs, owner): the player's view through
+ * the fog of war (see visibleCells in sim.js). Enemy units and resource
+ * amounts only show in cells the player's units can see; the terrain is
+ * known everywhere.
+ *   { owner, cycle, width, height, gold, terrain, visible, units, resources, unitTypes }
+ * A building's `busy` stays 0 while it produces; its `queued` counts the
+ * units waiting in its production queue.
+ * Orders are the unit and produce orders of sim.js; scripted ones (spawn,
+ * grant) are dropped.
+ */
+
+// ============================================================
+// OBSERVATION
+// ============================================================
+function agentObservation(gs, owner) {
+  const w = gs.width;
+  const seen = visibleCells(gs, owner);
+  const visible = [];
+  const resources = [];
+  for (let y = 0; y < gs.height; y++) {
+    visible.push(Array.from(seen.subarray(y * w, (y + 1) * w)));
+    for (let x = 0; x < w; x++) {
+      if (gs.grid[y][x] === 2 && seen[y * w + x]) resources.push({ x, y, amount: gs.resourceAmounts[y][x] });
+    }
+  }
+  const units = gs.units
+    .filter(u => u.owner === owner || seen[u.gy * w + u.gx])
+    .map(u => ({
+      id: u.id, type: u.type, owner: u.owner, x: u.gx, y: u.gy, hp: u.hp, maxHp: u.maxHp,
+      action: u.action, busy: u.busy, carrying: u.carrying,
+      queued: gs.prodQueue.filter(pq => pq.producer === u.id).length,
+    }));
+  const unitTypes = {};
+  for (const [type, def] of Object.entries(CONFIG.UNIT_TYPES)) {
+    const { color, label, ...stats } = def;
+    unitTypes[type] = stats;
+  }
+  return {
+    owner,
+    cycle: gs.cycle,
+    width: w,
+    height: gs.height,
+    gold: gs.gold[owner] ?? 0,
+    terrain: gs.grid.map(row => row.slice()),  // 0 free, 1 wall, 2 resource
+    visible,
+    units,
+    resources,
+    unitTypes,
+  };
+}
+
+// ============================================================
+// ORDERS
+// ============================================================
+const AGENT_ORDER_ACTIONS = ['noop', 'move', 'harvest', 'return', 'attack', 'produce', 'build', 'rally'];
+
+// The well-formed orders of an agent's reply; anything else is dropped
+function sanitizeAgentOrders(orders) {
+  if (!Array.isArray(orders)) return [];
+  const isCell = c => !!c && Number.isInteger(c.x) && Number.isInteger(c.y);
+  return orders.filter(o => {
+    if (!o || typeof o !== 'object' || !AGENT_ORDER_ACTIONS.includes(o.action)) return false;
+    if (o.action === 'produce') return !!CONFIG.UNIT_TYPES[o.unitType] && (o.target === undefined || (o.unit !== undefined && isCell(o.target)));
+    if (o.action === 'rally') return o.unit !== undefined && (o.target === null || isCell(o.target));
+    if (o.action === 'build') return !!CONFIG.UNIT_TYPES[o.unitType] && o.unit !== undefined && isCell(o.target);
+    if (o.action === 'noop' || o.action === 'attack') return o.unit !== undefined;
+    return o.unit !== undefined && isCell(o.target);
+  });
+}
@@ -0,0 +1,286 @@
+/**
+ * BlazeCraft Enhanced Bots
+ * Scripted players modelled on the MicroRTS baselines that gym-microrts
+ * exposes (microrts_ai.py). A bot is a function (gs, owner) -> orders that
+ * returns the same orders the HUD issues for a human (see sim.js), so a bot
+ * can take either player slot, live or headless. DOM-free.
+ *
+ *   const bot = findBot('lightRushAI');
+ *   game.step({ 1: playBot(findBot('workerRushAI'), game.state, 1), 2: playBot(bot, game.state, 2) });
+ *
+ * Bots keep no memory between steps; everything they decide is read off the
+ * state, which playBot() fogs to what the bot's player can see. Random bots
+ * draw from a stream seeded by the game seed, cycle and owner rather than
+ * the game PRNG, so they never shift the simulation's own rolls and a seed
+ * replays the same bot game.
+ */
+
+// ============================================================
+// HELPERS
+// ============================================================
+function botRandom(gs, owner) {
+  return { rng: (gs.seed ^ Math.imul(gs.cycle + 1, 0x9E3779B1) ^ Math.imul(owner, 0x85EBCA6B)) >>> 0 };
+}
+
+// Between orders: not mid-action and not producing
+function isIdle(gs, u) {
+  return u.action === 'noop' && u.busy === 0 && !isProducing(gs, u);
+}
+
+function gridDistance(u, x, y) {
+  return Math.abs(u.gx - x) + Math.abs(u.gy - y);
+}
+
+function closestEnemy(gs, u) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const t of gs.units) {
+    if (t.owner === u.owner || t.hp <= 0) continue;
+    const d = gridDistance(u, t.gx, t.gy);
+    if (d < bestDist) { bestDist = d; best = t; }
+  }
+  return best;
+}
+
+// Bots can't see an enemy they haven't found: head within sight of the cell
+// mirroring the player's first building through the map centre, where the
+// enemy starts on the usual point-symmetric maps, and from there for a
+// random cell out of sight. The move order keeps its own path (see
+// nextPathStep), so a route is only planned when the unit falls idle.
+function scoutTarget(gs, u, rnd) {
+  const home = gs.units.find(b => b.owner === u.owner && CONFIG.UNIT_TYPES[b.type].isBuilding) || u;
+  const sight = Math.max(1, CONFIG.UNIT_TYPES[u.type].sight);
+  const path = findPath(gs, u.gx, u.gy, gs.width - 1 - home.gx, gs.height - 1 - home.gy, sight);
+  if (path?.length) return path[path.length - 1];
+  return gs.visible ? randomHiddenCell(gs, u, rnd) : null;
+}
+
+// Breadth-first over open terrain, so the cell can be reached
+function randomHiddenCell(gs, u, rnd) {
+  const w = gs.width;
+  const queued = new Uint8Array(w * gs.height);
+  const queue = [u.gy * w + u.gx];
+  const hidden = [];
+  queued[queue[0]] = 1;
+  for (let i = 0; i < queue.length; i++) {
+    const x = queue[i] % w;
+    const y = (queue[i] - x) / w;
+    if (!gs.visible[queue[i]]) hidden.push({ x, y });
+    for (const [dx, dy] of PATH_DIRS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= w || ny >= gs.height || gs.grid[ny][nx] !== 0 || queued[ny * w + nx]) continue;
+      queued[ny * w + nx] = 1;
+      queue.push(ny * w + nx);
+    }
+  }
+  return hidden.length ? hidden[randomInt(rnd, hidden.length)] : null;
+}
+
+function closestResource(gs, u) {
+  let best = null;
+  let bestDist = Infinity;
+  for (let y = 0; y < gs.height; y++) {
+    for (let x = 0; x < gs.width; x++) {
+      if (gs.grid[y][x] !== 2) continue;
+      const d = gridDistance(u, x, y);
+      if (d < bestDist) { bestDist = d; best = { x, y }; }
+    }
+  }
+  return best;
+}
+
+// A neighboring cell to produce into, skipping cells claimed this step
+function freeNeighbor(gs, u, claimed) {
+  for (const [dx, dy] of PATH_DIRS) {
+    const x = u.gx + dx;
+    const y = u.gy + dy;
+    if (isWalkable(gs, x, y) && !claimed.has(`${x},${y}`)) return { x, y };
+  }
+  return null;
+}
+
+// ============================================================
+// PASSIVE
+// ============================================================
+function passiveAI() {
+  return [];
+}
+
+// ============================================================
+// RANDOM
+// ============================================================
+// Every legal single action of an idle unit, read off its action mask (see
+// gridnet.js), as { type, order }. Noop is the one with no order.
+function legalActions(gs, u) {
+  const mask = unitActionMask(gs, u);
+  if (!mask) return [];
+  const M = GRIDNET_MASK_OFFSETS;
+  const actions = [{ type: 'noop', order: null }];
+  PATH_DIRS.forEach(([dx, dy], dir) => {
+    const target = { x: u.gx + dx, y: u.gy + dy };
+    for (const type of ['move', 'harvest', 'return']) {
+      if (mask[M[type] + dir]) actions.push({ type, order: { unit: u.id, action: type, target, once: true } });
+    }
+    if (!mask[M.produceDir + dir]) return;
+    for (const t of CONFIG.UTT.utt.unitTypes) {
+      if (mask[M.produceType + t.ID]) {
+        actions.push({ type: 'produce', order: { unit: u.id, action: 'produce', unitType: MICRORTS_UNIT_TYPES[t.name], target } });
+      }
+    }
+  });
+  const half = GRIDNET_ATTACK_SIZE >> 1;
+  for (let i = 0; i < GRIDNET_ATTACK_SIZE * GRIDNET_ATTACK_SIZE; i++) {
+    if (!mask[M.attack + i]) continue;
+    const x = u.gx + (i % GRIDNET_ATTACK_SIZE) - half;
+    const y = u.gy + Math.floor(i / GRIDNET_ATTACK_SIZE) - half;
+    const target = gs.units.find(t => t.gx === x && t.gy === y && t.owner !== u.owner);
+    actions.push({ type: 'attack', order: { unit: u.id, action: 'attack', target: target.id, once: true } });
+  }
+  return actions;
+}
+
+// Weighted pick of a legal action for each unit in `units`, skipping actions
+// that clash with one already picked this step (same cell, same gold)
+function randomActions(gs, owner, units, weights, rnd) {
+  const orders = [];
+  const claimed = new Set();
+  let spent = 0;
+  const claims = order => order.action === 'move' || order.action === 'produce';
+  const cost = order => order.action === 'produce' ? CONFIG.UNIT_TYPES[order.unitType].cost : 0;
+  for (const u of units) {
+    const actions = legalActions(gs, u).filter(({ order }) => !order ||
+      (!(claims(order) && claimed.has(`${order.target.x},${order.target.y}`)) &&
+       (gs.gold[owner] ?? 0) - spent >= cost(order)));
+    const total = actions.reduce((sum, a) => sum + (weights[a.type] ?? 1), 0);
+    let roll = nextRandom(rnd) * total;
+    const pick = actions.find(a => (roll -= weights[a.type] ?? 1) < 0) || actions[actions.length - 1];
+    if (!pick?.order) continue;
+    if (claims(pick.order)) claimed.add(`${pick.order.target.x},${pick.order.target.y}`);
+    spent += cost(pick.order);
+    orders.push(pick.order);
+  }
+  return orders;
+}
+
+// RandomBiasedAI: every idle unit picks a legal action, attack, harvest and
+// return five times as likely as the rest
+const RANDOM_BIASED_WEIGHTS = { attack: 5, harvest: 5, return: 5 };
+
+function randomBiasedAI(gs, owner) {
+  const idle = gs.units.filter(u => u.owner === owner && isIdle(gs, u));
+  return randomActions(gs, owner, idle, RANDOM_BIASED_WEIGHTS, botRandom(gs, owner));
+}
+
+// randomAI is RandomBiasedSingleUnitAI: the same, for one idle unit per cycle
+function randomAI(gs, owner) {
+  const idle = gs.units.filter(u => u.owner === owner && isIdle(gs, u));
+  if (!idle.length) return [];
+  const rnd = botRandom(gs, owner);
+  return randomActions(gs, owner, [idle[randomInt(rnd, idle.length)]], RANDOM_BIASED_WEIGHTS, rnd);
+}
+
+// ============================================================
+// RUSH
+// ============================================================
+// The abstraction-layer rushes (WorkerRush, LightRush, HeavyRush,
+// RangedRush): the base keeps `workers` workers, the first `harvesters` of
+// them harvest, the first worker builds whichever of `buildings` is missing,
+// barracks train `unitType`, and every other unit goes for the closest enemy.
+function rushAI({ unitType, workers, harvesters, buildings }) {
+  return (gs, owner) => {
+    const orders = [];
+    const claimed = new Set();
+    const rnd = botRandom(gs, owner);
+    let gold = gs.gold[owner] ?? 0;
+    const mine = gs.units.filter(u => u.owner === owner);
+    const count = type => mine.filter(u => u.type === type).length +
+      gs.prodQueue.filter(pq => pq.owner === owner && pq.unitType === type).length;
+    const workerList = mine.filter(u => u.type === 'worker').sort((a, b) => a.id - b.id);
+    const produce = (u, type) => {
+      const cost = CONFIG.UNIT_TYPES[type].cost;
+      const target = cost <= gold && freeNeighbor(gs, u, claimed);
+      if (!target) return;
+      gold -= cost;
+      claimed.add(`${target.x},${target.y}`);
+      orders.push({ unit: u.id, action: 'produce', unitType: type, target });
+    };
+    const attack = u => {
+      const enemy = closestEnemy(gs, u);
+      if (enemy && !(u.action === 'attack' && u.target === enemy.id)) {
+        orders.push({ unit: u.id, action: 'attack', target: enemy.id });
+      } else if (!enemy && u.action === 'noop' && u.busy === 0) {
+        const target = scoutTarget(gs, u, rnd);
+        if (target) orders.push({ unit: u.id, action: 'move', target });
+      }
+    };
+
+    // The builder stops harvesting once it has nothing to carry home and
+    // builds as soon as it stands idle; the gold is held for it meanwhile
+    const builder = workerList[0];
+    const build = builder && buildings.find(type => !count(type) && gold >= CONFIG.UNIT_TYPES[type].cost);
+    if (build) {
+      if (isIdle(gs, builder)) produce(builder, build);
+      else {
+        gold -= CONFIG.UNIT_TYPES[build].cost;
+        if (builder.action === 'harvest' && !builder.carrying) orders.push({ unit: builder.id, action: 'noop' });
+      }
+    }
+
+    workerList.forEach((u, i) => {
+      if ((u === builder && build) || (u.action === 'noop' && u.busy > 0) || isProducing(gs, u)) return;
+      if (i >= harvesters) { attack(u); return; }
+      if (u.action !== 'noop') return;
+      const base = closestStockpile(gs, u);
+      if (u.carrying && base) orders.push({ unit: u.id, action: 'return', target: { x: base.gx, y: base.gy } });
+      else {
+        const patch = closestResource(gs, u);
+        if (patch && !u.carrying) orders.push({ unit: u.id, action: 'harvest', target: patch });
+        else attack(u);
+      }
+    });
+
+    for (const u of mine) {
+      const def = CONFIG.UNIT_TYPES[u.type];
+      if (u.type === 'worker') continue;
+      if (def.isBuilding) {
+        if (u.busy > 0 || isProducing(gs, u)) continue;
+        if (def.produces.includes('worker') && count('worker') < workers) produce(u, 'worker');
+        else if (def.produces.includes(unitType)) produce(u, unitType);
+      } else if (def.canAttack) {
+        attack(u);
+      }
+    }
+    return orders;
+  };
+}
+
+const workerRushAI = rushAI({ unitType: 'worker', workers: Infinity, harvesters: 1, buildings: ['base'] });
+const lightRushAI = rushAI({ unitType: 'light', workers: 1, harvesters: Infinity, buildings: ['base', 'barracks'] });
+const heavyRushAI = rushAI({ unitType: 'heavy', workers: 1, harvesters: Infinity, buildings: ['base', 'barracks'] });
+const rangedRushAI = rushAI({ unitType: 'ranged', workers: 1, harvesters: Infinity, buildings: ['base', 'barracks'] });
+
+// ============================================================
+// CATALOGUE
+// ============================================================
+const BOTS = [
+  { id: 'simpleAI', name: 'Skirmish (built-in)', play: simpleAI },
+  { id: 'passiveAI', name: 'Passive', play: passiveAI },
+  { id: 'randomAI', name: 'Random', play: randomAI },
+  { id: 'randomBiasedAI', name: 'Random biased', play: randomBiasedAI },
+  { id: 'workerRushAI', name: 'Worker rush', play: workerRushAI },
+  { id: 'lightRushAI', name: 'Light rush', play: lightRushAI },
+  { id: 'heavyRushAI', name: 'Heavy rush', play: heavyRushAI },
+  { id: 'rangedRushAI', name: 'Ranged rush', play: rangedRushAI },
+];
+
+function findBot(id) {
+  return BOTS.find(b => b.id === id) || null;
+}
+
+// Orders of `bot` for `owner`, from only what the player sees under
+// CONFIG.PARTIAL_OBS
+function playBot(bot, gs, owner) {
+  if (!CONFIG.PARTIAL_OBS) return bot.play(gs, owner);
+  return bot.play(playerView(gs, owner), owner);
+}
@@ -0,0 +1,152 @@
+/**
+ * BlazeCraft Enhanced Bridge Stand-in
+ * A local WebSocket server that speaks the bridge protocol (see bridge.js)
+ * without a trainer: it runs headless games between two bots (see bots.js)
+ * and streams every step to connected pages. No dependencies.
+ *
+ *   node bridge-server.js [--port 8765] [--map file.xml] [--seed 1] [--tick 50] [--steps 2000]
+ *                         [--p1 simpleAI] [--p2 simpleAI]
+ *
+ * then open index.html?bridge=ws://localhost:8765 (or press Bridge in the top bar).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  createGame, parseMapXML, DEFAULT_MAP_XML, mapFromState, findBot, playBot, gameResult, MICRORTS_UNIT_TYPES, REWARD_KEYS, CONFIG,
+} = require('./headless.js');
+
+// Engine unit type -> MicroRTS type name
+const MICRORTS_NAMES = {};
+for (const [name, type] of Object.entries(MICRORTS_UNIT_TYPES)) MICRORTS_NAMES[type] = name;
+
+function parseArgs(argv) {
+  const args = { port: 8765, map: null, seed: 1, tick: 50, steps: 2000, p1: 'simpleAI', p2: 'simpleAI' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) throw new Error(`unknown option ${argv[i]}`);
+    args[key] = typeof args[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  for (const key of ['p1', 'p2']) {
+    if (!findBot(args[key])) throw new Error(`unknown bot ${args[key]}`);
+  }
+  return args;
+}
+
+// ============================================================
+// GAME STATE JSON (as rts.GameState.toJSON() writes it)
+// ============================================================
+const STEP_DURATIONS = { move: 'moveTime', harvest: 'harvestTime', return: 'returnTime', attack: 'attackTime' };
+const ACTION_TYPES = { move: 1, harvest: 2, return: 3, attack: 5 };
+
+function directionTo(u, x, y) {
+  return [[0, -1], [1, 0], [0, 1], [-1, 0]].findIndex(([dx, dy]) => u.gx + dx === x && u.gy + dy === y);
+}
+
+function gameStateJSON(gs) {
+  const map = mapFromState(gs);
+  const pgs = {
+    width: map.width,
+    height: map.height,
+    terrain: map.terrain.map(row => row.join('')).join(''),
+    players: map.players.map(p => ({ ID: p.id, resources: p.resources })),
+    units: map.units.map(u => ({
+      type: MICRORTS_NAMES[u.type], ID: u.id, player: u.player, x: u.x, y: u.y,
+      resources: u.resources, hitpoints: u.hitpoints,
+    })),
+  };
+  const actions = [];
+  for (const u of gs.units) {
+    const step = u.step;
+    if (!step || !STEP_DURATIONS[step.kind]) continue;
+    const def = CONFIG.UNIT_TYPES[u.type];
+    const time = gs.cycle - (def[STEP_DURATIONS[step.kind]] - u.busy);
+    let action = { type: ACTION_TYPES[step.kind], parameter: directionTo(u, step.x, step.y) };
+    if (step.kind === 'attack') {
+      const target = gs.units.find(t => t.id === step.target);
+      if (!target) continue;
+      action = { type: 5, x: target.gx, y: target.gy };
+    }
+    actions.push({ ID: u.id, time, action });
+  }
+  for (const pq of gs.prodQueue) {
+    // Queued production has no MicroRTS unit action until it gets a cell
+    if (pq.x === undefined) continue;
+    const producer = gs.units.find(u => u.id === pq.producer);
+    const action = { type: 4, parameter: directionTo(producer, pq.x, pq.y), unitType: MICRORTS_NAMES[pq.unitType] };
+    actions.push({ ID: pq.producer, time: gs.cycle - pq.progress, action });
+  }
+  return { time: gs.cycle, pgs, actions };
+}
+
+// ============================================================
+// WEBSOCKET (RFC 6455, server side, text frames only)
+// ============================================================
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const clients = new Set();
+
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  const n = payload.length;
+  const head = n < 126 ? Buffer.from([0x81, n])
+    : n < 65536 ? Buffer.from([0x81, 126, n >> 8, n & 255])
+      : Buffer.concat([Buffer.from([0x81, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(n)); return b; })()]);
+  return Buffer.concat([head, payload]);
+}
+
+function broadcast(msg) {
+  const frame = wsFrame(JSON.stringify(msg));
+  for (const socket of clients) socket.write(frame);
+}
+
+function acceptClient(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) { socket.destroy(); return; }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  clients.add(socket);
+  console.log(`client connected (${clients.size})`);
+  // Clients only ever send a close frame (opcode 8)
+  socket.on('data', data => { if ((data[0] & 0x0f) === 8) socket.end(Buffer.from([0x88, 0])); });
+  const drop = () => { if (clients.delete(socket)) console.log(`client left (${clients.size})`); };
+  socket.on('close', drop);
+  socket.on('error', drop);
+}
+
+// ============================================================
+// GAME LOOP
+// ============================================================
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const map = args.map
+    ? parseMapXML(fs.readFileSync(args.map, 'utf8'), path.basename(args.map))
+    : parseMapXML(DEFAULT_MAP_XML, 'basesWorkers16x16');
+  const game = createGame(map, args.seed);
+  const bots = { 1: findBot(args.p1), 2: findBot(args.p2) };
+
+  const newEpisode = () => {
+    game.reset(map, game.state.seed + 1);
+    broadcast({ type: 'reset', sent: Date.now() });
+    console.log(`episode with seed ${game.state.seed}`);
+  };
+
+  setInterval(() => {
+    game.step({ 1: playBot(bots[1], game.state, 1), 2: playBot(bots[2], game.state, 2) });
+    const gs = game.state;
+    const rewards = REWARD_KEYS.map(k => gs.stepRewards[1][k]);
+    broadcast({ type: 'state', gs: gameStateJSON(gs), rewards, sent: Date.now() });
+    if (gameResult(gs, args.steps) !== null) newEpisode();
+  }, args.tick);
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('BlazeCraft bridge: connect with a WebSocket\n');
+  });
+  server.on('upgrade', acceptClient);
+  server.listen(args.port, () => console.log(`bridge stand-in on ws://localhost:${args.port}: ${args.p1} vs ${args.p2}`));
+}
+
+main();
@@ -0,0 +1,209 @@
+/**
+ * BlazeCraft Enhanced Live Bridge
+ * Spectate a game that runs elsewhere, such as a gym-microrts training or
+ * evaluation process, over a local WebSocket. While a bridged game is on
+ * screen the local game is paused; the board, minimap and reward panel show
+ * the latest message. Dropped connections are retried with backoff.
+ *
+ * Messages are JSON text frames; the page only listens:
+ *   { type: 'state', gs, rewards, sent, env }
+ *     gs       what rts.GameState.toJSON() writes: { time, pgs, actions }
+ *     rewards  this step's raw reward function values for player 1, in the
+ *              vec env order (REWARD_KEYS in sim.js) (optional)
+ *     sent     sender clock in ms, for the latency shown in Ops (optional)
+ *     env      index of the vector env; only env 0 is shown (optional)
+ *   { type: 'reset', env }  a new episode starts; rewards start over
+ *
+ * experiments/blazecraft_bridge.py is the sender for a gym-microrts process
+ * (ppo_gridnet_eval.py --blazecraft-bridge 8765 streams its first env);
+ * bridge-server.js is a stand-in server that streams headless games.
+ */
+
+// ============================================================
+// CONNECTION
+// ============================================================
+const BRIDGE_RETRY_MS = [1000, 2000, 5000, 10000];
+
+function bridgeURL() {
+  return new URLSearchParams(location.search).get('bridge') || CONFIG.BRIDGE_URL;
+}
+
+function toggleBridge() {
+  if (state.bridge) stopBridge();
+  else startBridge(bridgeURL());
+}
+
+function startBridge(url) {
+  state.bridge = {
+    url,
+    ws: null,
+    retries: 0,
+    timer: null,
+    env: 0,
+    live: null,        // the local game while a bridged one is shown
+    rewards: emptyRewards(),
+    messages: 0,
+  };
+  connectBridge();
+  syncBridgeButton();
+}
+
+function connectBridge() {
+  const bridge = state.bridge;
+  setBridgeStatus('Connecting');
+  let ws;
+  try {
+    ws = new WebSocket(bridge.url);
+  } catch (err) {
+    log(`Bridge: ${err.message}`, 'error');
+    stopBridge();
+    return;
+  }
+  bridge.ws = ws;
+  ws.onopen = () => {
+    bridge.retries = 0;
+    setBridgeStatus('Bridge');
+    addOpsEntry(`Bridge connected to ${bridge.url}`);
+  };
+  ws.onmessage = e => {
+    if (state.bridge === bridge) onBridgeMessage(e.data);
+  };
+  // onerror is always followed by onclose
+  ws.onclose = () => {
+    if (state.bridge !== bridge) return;
+    bridge.ws = null;
+    const delay = BRIDGE_RETRY_MS[Math.min(bridge.retries++, BRIDGE_RETRY_MS.length - 1)];
+    setBridgeStatus('Offline');
+    setText('opsLatency', '--');
+    addOpsEntry(`Bridge offline, retrying in ${delay / 1000}s`);
+    bridge.timer = setTimeout(connectBridge, delay);
+  };
+}
+
+// Disconnect and bring the local game back
+function stopBridge() {
+  const bridge = state.bridge;
+  if (!bridge) return;
+  state.bridge = null;
+  clearTimeout(bridge.timer);
+  if (bridge.ws) bridge.ws.close();
+  setBridgeStatus(null);
+  setText('opsLatency', '--');
+  syncBridgeButton();
+  if (bridge.live) {
+    state.map = bridge.live.map;
+    useGame(bridge.live.game, bridge.live.replay);
+    state.demoRandom = bridge.live.demoRandom;
+    state.startTime = bridge.live.startTime;
+    updateUI();
+    updateRewards();
+    log('Bridge closed, live game resumed', 'info');
+  } else {
+    addOpsEntry('Bridge closed');
+  }
+}
+
+// ============================================================
+// MESSAGES
+// ============================================================
+function onBridgeMessage(text) {
+  const bridge = state.bridge;
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (err) {
+    log('Bridge: message is not JSON', 'error');
+    return;
+  }
+  if ((msg.env ?? 0) !== bridge.env) return;
+  if (typeof msg.sent === 'number') setText('opsLatency', `${Math.max(0, Date.now() - msg.sent)}ms`);
+  if (msg.type === 'reset') {
+    bridge.rewards = emptyRewards();
+    log('Bridge: new episode', 'info');
+    return;
+  }
+  if (msg.type !== 'state') return;
+
+  let gs;
+  try {
+    gs = stateFromGameStateJSON(msg.gs, state.map?.name || 'bridge');
+  } catch (err) {
+    log(`Bridge: ${err.message}`, 'error');
+    return;
+  }
+  if (state.game && bridge.live && gs.cycle < state.game.cycle) bridge.rewards = emptyRewards();
+  const rewards = Array.isArray(msg.rewards)
+    ? Object.fromEntries(REWARD_KEYS.map((k, i) => [k, msg.rewards[i]]))
+    : msg.rewards || {};
+  const step = emptyRewards();
+  for (const k of REWARD_KEYS) {
+    step[k] = Number(rewards[k]) || 0;
+    bridge.rewards[k] += step[k];
+  }
+  // The trainer only reports its own (player 1's) rewards
+  gs.rewards = { 1: bridge.rewards, 2: emptyRewards() };
+  gs.stepRewards = { 1: step, 2: emptyRewards() };
+  showBridgedState(gs);
+
+  if (++bridge.messages % 100 === 0) {
+    addOpsEntry(`Bridge cycle ${gs.cycle}: ${gs.units.length} units, ${bridge.messages} messages`);
+  }
+}
+
+// Put a bridged state on screen, pausing the local game the first time
+function showBridgedState(gs) {
+  const bridge = state.bridge;
+  if (!bridge.live) {
+    if (state.playback) closePlayback();
+    if (state.mode === 'editor') setMode('rts');
+    bridge.live = {
+      game,
+      map: state.map,
+      replay: state.replay,
+      demoRandom: state.demoRandom,
+      startTime: state.startTime,
+    };
+    const spectated = createGame();
+    spectated.state = gs;
+    state.map = mapFromState(gs, 'bridge');
+    useGame(spectated, null);
+    log(`Bridge: spectating ${gs.width}x${gs.height} game from ${bridge.url}`, 'info');
+  }
+  game.state = gs;
+  state.game = gs;
+  // A new episode may be on another map
+  if (CONFIG.GRID_W !== gs.width || CONFIG.GRID_H !== gs.height) {
+    CONFIG.GRID_W = gs.width;
+    CONFIG.GRID_H = gs.height;
+    initFog();
+    resizeCanvas();
+  }
+  setText('gameTime', cycleTime(gs.cycle));
+  renderProdQueue();
+  updateFog();
+  updateUI();
+  updateRewards();
+}
+
+// ============================================================
+// VIEW
+// ============================================================
+function setBridgeStatus(status) {
+  const tag = $('#opsStatus');
+  if (!tag) return;
+  tag.textContent = status || 'Live';
+  tag.classList.toggle('tag-live', !status || status === 'Bridge');
+  tag.classList.toggle('tag-replay', !!status && status !== 'Bridge');
+}
+
+function syncBridgeButton() {
+  const btn = $('#toggleBridge');
+  if (!btn) return;
+  btn.classList.toggle('active', !!state.bridge);
+  btn.setAttribute('aria-pressed', !!state.bridge);
+}
+
+function initBridge() {
+  $('#toggleBridge')?.addEventListener('click', toggleBridge);
+  if (new URLSearchParams(location.search).has('bridge')) startBridge(bridgeURL());
+}
@@ -0,0 +1,357 @@
+/**
+ * BlazeCraft Enhanced Charts
+ * Per-cycle time series of the game on screen: each player's reward
+ * components (see REWARDS in sim.js) and weighted total, gold, unit counts
+ * per type and army value. The live game is sampled as its snapshots arrive;
+ * an open replay is sampled in one pass over its recorded orders. Hover for
+ * a readout, drag across the chart to zoom into a cycle range, and click a
+ * point in a replay to jump there. Exports the samples as CSV and the chart
+ * as PNG.
+ */
+
+// ============================================================
+// SAMPLES
+// ============================================================
+const CHART_UNIT_TYPES = ['worker', 'light', 'heavy', 'ranged', 'base', 'barracks'];
+const CHART_PLAYER_COLORS = { 1: '#3b82f6', 2: '#ef4444' };
+const CHART_REWARD_COLORS = {
+  winLoss: '#f59e0b', resources: '#22c55e', workers: '#60a5fa',
+  buildings: '#a855f7', attack: '#ef4444', combat: '#f97316',
+};
+const CHART_CLICK_PX = 4;  // drags shorter than this are clicks
+
+// What the charts keep of one cycle
+function chartSample(gs) {
+  const sample = { cycle: gs.cycle, rewards: {}, gold: {}, units: {}, army: {} };
+  for (const owner of [1, 2]) {
+    sample.rewards[owner] = { ...(gs.rewards?.[owner] || emptyRewards()) };
+    sample.gold[owner] = gs.gold[owner] ?? 0;
+    sample.units[owner] = Object.fromEntries(CHART_UNIT_TYPES.map(t => [t, 0]));
+    sample.army[owner] = 0;
+  }
+  for (const u of gs.units) {
+    const counts = sample.units[u.owner];
+    if (!counts || !(u.type in counts)) continue;
+    counts[u.type]++;
+    const def = CONFIG.UNIT_TYPES[u.type];
+    if (!def.isBuilding && u.type !== 'worker') sample.army[u.owner] += def.cost;
+  }
+  return sample;
+}
+
+// Sample every cycle of an open replay, re-running it on a separate game
+function replaySamples(pb) {
+  const run = { game: createGame(), orders: pb.orders, syncs: pb.syncs };
+  run.game.state = JSON.parse(pb.keyframes[pb.start]);
+  const samples = [chartSample(run.game.state)];
+  while (run.game.state.cycle < pb.end) {
+    stepReplay(run);
+    samples.push(chartSample(run.game.state));
+  }
+  return samples;
+}
+
+// Samples of the game on screen: the open replay's, or the live game's,
+// which start over with each new game (each new recording)
+function chartSamples() {
+  const charts = state.charts;
+  if (state.playback) {
+    if (charts.replay?.pb !== state.playback) {
+      charts.replay = { pb: state.playback, samples: replaySamples(state.playback) };
+      charts.range = null;
+    }
+    return charts.replay.samples;
+  }
+  if (charts.live.replay !== state.replay) {
+    charts.live = { replay: state.replay, samples: state.replay ? [chartSample(state.replay.initial)] : [] };
+    charts.range = null;
+  }
+  return charts.live.samples;
+}
+
+// Called with each live snapshot
+function recordChartSample() {
+  if (state.playback || state.bridge?.live) return;
+  const samples = chartSamples();
+  const last = samples[samples.length - 1];
+  if (last && last.cycle >= state.game.cycle) return;
+  samples.push(chartSample(state.game));
+  refreshChart();
+}
+
+// Redraw when the panel is open
+function refreshChart() {
+  if (state.charts && !$('#chartPanel')?.hidden) renderChart();
+}
+
+// ============================================================
+// SERIES
+// ============================================================
+// Each group plots lines of { label, color, value(sample) }; the per-player
+// groups follow the player select
+const CHART_GROUPS = {
+  rewards: owner => [
+    ...REWARD_KEYS.map(k => ({ label: k, color: CHART_REWARD_COLORS[k], value: s => s.rewards[owner][k] })),
+    { label: 'total', color: '#e5e7eb', value: s => weightedReward(s.rewards[owner], CONFIG.REWARD_WEIGHTS) },
+  ],
+  gold: () => [1, 2].map(o => ({ label: `P${o}`, color: CHART_PLAYER_COLORS[o], value: s => s.gold[o] })),
+  units: owner => CHART_UNIT_TYPES.map(t => ({ label: t, color: CONFIG.UNIT_TYPES[t].color, value: s => s.units[owner][t] })),
+  army: () => [1, 2].map(o => ({ label: `P${o}`, color: CHART_PLAYER_COLORS[o], value: s => s.army[o] })),
+};
+
+function chartLines() {
+  return CHART_GROUPS[state.charts.group](state.charts.player);
+}
+
+// Samples inside the zoomed cycle range
+function visibleSamples(samples) {
+  const range = state.charts.range;
+  return range ? samples.filter(s => s.cycle >= range[0] && s.cycle <= range[1]) : samples;
+}
+
+// ============================================================
+// PANEL
+// ============================================================
+function toggleCharts() {
+  const panel = $('#chartPanel');
+  if (!panel) return;
+  panel.hidden = !panel.hidden;
+  const btn = $('#toggleCharts');
+  if (btn) {
+    btn.classList.toggle('active', !panel.hidden);
+    btn.setAttribute('aria-pressed', !panel.hidden);
+  }
+  if (!panel.hidden) renderChart();
+}
+
+function initChartPanel() {
+  state.charts = {
+    group: 'rewards',
+    player: 1,
+    range: null,   // [from, to] cycles when zoomed
+    hover: null,   // cycle under the mouse
+    drag: null,    // { x0, x1 } canvas x while dragging
+    live: { replay: null, samples: [] },
+    replay: null,  // { pb, samples } for the open replay
+  };
+  $('#toggleCharts')?.addEventListener('click', toggleCharts);
+  $('#chartGroup')?.addEventListener('change', e => {
+    state.charts.group = e.target.value;
+    renderChart();
+  });
+  $('#chartPlayer')?.addEventListener('change', e => {
+    state.charts.player = Number(e.target.value);
+    renderChart();
+  });
+  $('#chartZoomReset')?.addEventListener('click', () => {
+    state.charts.range = null;
+    renderChart();
+  });
+  $('#chartCSV')?.addEventListener('click', exportChartCSV);
+  $('#chartPNG')?.addEventListener('click', exportChartPNG);
+  const canvas = $('#chartCanvas');
+  if (!canvas) return;
+  canvas.addEventListener('mousedown', e => {
+    const x = chartMouseX(e);
+    state.charts.drag = { x0: x, x1: x };
+  });
+  canvas.addEventListener('mousemove', e => {
+    const x = chartMouseX(e);
+    if (state.charts.drag) state.charts.drag.x1 = x;
+    state.charts.hover = chartCycleAt(x);
+    renderChart();
+  });
+  canvas.addEventListener('mouseleave', () => {
+    state.charts.hover = null;
+    state.charts.drag = null;
+    renderChart();
+  });
+  canvas.addEventListener('mouseup', e => {
+    const drag = state.charts.drag;
+    state.charts.drag = null;
+    if (!drag) return;
+    const x = chartMouseX(e);
+    if (Math.abs(x - drag.x0) < CHART_CLICK_PX) {
+      chartClick(chartCycleAt(x));
+      return;
+    }
+    const [a, b] = [chartCycleAt(drag.x0), chartCycleAt(x)].sort((p, q) => p - q);
+    if (a !== null && b > a) state.charts.range = [a, b];
+    renderChart();
+  });
+}
+
+// Clicking a replay's chart seeks the replay to that cycle
+function chartClick(cycle) {
+  if (cycle === null || !state.playback) return;
+  state.playback.playing = false;
+  seekPlayback(cycle);
+}
+
+// ============================================================
+// DRAWING
+// ============================================================
+const CHART_PAD = { left: 44, right: 8, top: 8, bottom: 18 };
+
+function chartMouseX(e) {
+  const canvas = $('#chartCanvas');
+  const rect = canvas.getBoundingClientRect();
+  return (e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width));
+}
+
+// The cycle range on the x axis
+function chartDomain(samples) {
+  if (state.charts.range) return state.charts.range;
+  if (!samples.length) return [0, 1];
+  return [samples[0].cycle, Math.max(samples[0].cycle + 1, samples[samples.length - 1].cycle)];
+}
+
+// Sampled cycle nearest to canvas x, or null without samples
+function chartCycleAt(x) {
+  const canvas = $('#chartCanvas');
+  const samples = visibleSamples(chartSamples());
+  if (!canvas || !samples.length) return null;
+  const [from, to] = chartDomain(samples);
+  const w = canvas.width - CHART_PAD.left - CHART_PAD.right;
+  const t = Math.max(0, Math.min(1, (x - CHART_PAD.left) / w));
+  const cycle = Math.round(from + t * (to - from));
+  let best = samples[0];
+  for (const s of samples) if (Math.abs(s.cycle - cycle) < Math.abs(best.cycle - cycle)) best = s;
+  return best.cycle;
+}
+
+function renderChart() {
+  const canvas = $('#chartCanvas');
+  if (!canvas || !state.charts) return;
+  const cctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const samples = visibleSamples(chartSamples());
+  const lines = chartLines();
+  const [from, to] = chartDomain(samples);
+  let lo = 0;
+  let hi = 0;
+  for (const s of samples) {
+    for (const line of lines) {
+      const v = line.value(s);
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+  }
+  if (hi === lo) hi = lo + 1;
+  const plotW = width - CHART_PAD.left - CHART_PAD.right;
+  const plotH = height - CHART_PAD.top - CHART_PAD.bottom;
+  const xOf = cycle => CHART_PAD.left + ((cycle - from) / (to - from)) * plotW;
+  const yOf = v => CHART_PAD.top + (1 - (v - lo) / (hi - lo)) * plotH;
+
+  cctx.fillStyle = '#0d0f14';
+  cctx.fillRect(0, 0, width, height);
+  cctx.font = '9px monospace';
+  cctx.lineWidth = 1;
+  for (let i = 0; i <= 4; i++) {
+    const v = lo + ((hi - lo) * i) / 4;
+    const y = yOf(v);
+    cctx.strokeStyle = '#1f2937';
+    cctx.beginPath();
+    cctx.moveTo(CHART_PAD.left, y);
+    cctx.lineTo(width - CHART_PAD.right, y);
+    cctx.stroke();
+    cctx.fillStyle = '#6b7280';
+    cctx.textAlign = 'right';
+    cctx.fillText(formatReward(Math.round(v * 100) / 100), CHART_PAD.left - 4, y + 3);
+  }
+  cctx.textAlign = 'left';
+  cctx.fillText(String(from), CHART_PAD.left, height - 5);
+  cctx.textAlign = 'right';
+  cctx.fillText(String(to), width - CHART_PAD.right, height - 5);
+
+  for (const line of lines) {
+    cctx.strokeStyle = line.color;
+    cctx.lineWidth = line.label === 'total' ? 2 : 1.25;
+    cctx.beginPath();
+    samples.forEach((s, i) => {
+      if (i === 0) cctx.moveTo(xOf(s.cycle), yOf(line.value(s)));
+      else cctx.lineTo(xOf(s.cycle), yOf(line.value(s)));
+    });
+    cctx.stroke();
+  }
+  cctx.lineWidth = 1;
+
+  // The replay's current cycle
+  if (state.playback && state.game.cycle >= from && state.game.cycle <= to) {
+    cctx.strokeStyle = '#fbbf24';
+    cctx.beginPath();
+    cctx.moveTo(xOf(state.game.cycle), CHART_PAD.top);
+    cctx.lineTo(xOf(state.game.cycle), CHART_PAD.top + plotH);
+    cctx.stroke();
+  }
+  const drag = state.charts.drag;
+  if (drag && Math.abs(drag.x1 - drag.x0) >= CHART_CLICK_PX) {
+    cctx.fillStyle = '#fbbf2422';
+    cctx.fillRect(Math.min(drag.x0, drag.x1), CHART_PAD.top, Math.abs(drag.x1 - drag.x0), plotH);
+  }
+  const hovered = samples.find(s => s.cycle === state.charts.hover);
+  if (hovered) {
+    cctx.strokeStyle = '#9ca3af';
+    cctx.beginPath();
+    cctx.moveTo(xOf(hovered.cycle), CHART_PAD.top);
+    cctx.lineTo(xOf(hovered.cycle), CHART_PAD.top + plotH);
+    cctx.stroke();
+  }
+  renderChartReadout(hovered || samples[samples.length - 1], lines);
+}
+
+// Legend with the values at the hovered (or latest) cycle
+function renderChartReadout(sample, lines) {
+  const readout = $('#chartReadout');
+  if (!readout) return;
+  readout.innerHTML = '';
+  const cycle = document.createElement('span');
+  cycle.textContent = sample ? `cycle ${sample.cycle}` : 'no samples yet';
+  readout.appendChild(cycle);
+  for (const line of lines) {
+    const item = document.createElement('span');
+    item.style.color = line.color;
+    item.textContent = sample ? `${line.label} ${formatReward(line.value(sample))}` : line.label;
+    readout.appendChild(item);
+  }
+}
+
+// ============================================================
+// EXPORT
+// ============================================================
+function chartCSV(samples) {
+  const header = ['cycle'];
+  for (const owner of [1, 2]) {
+    header.push(...REWARD_KEYS.map(k => `p${owner}_${k}`), `p${owner}_total`, `p${owner}_gold`,
+      ...CHART_UNIT_TYPES.map(t => `p${owner}_${t}`), `p${owner}_army`);
+  }
+  const rows = samples.map(s => {
+    const row = [s.cycle];
+    for (const owner of [1, 2]) {
+      row.push(...REWARD_KEYS.map(k => s.rewards[owner][k]), weightedReward(s.rewards[owner], CONFIG.REWARD_WEIGHTS),
+        s.gold[owner], ...CHART_UNIT_TYPES.map(t => s.units[owner][t]), s.army[owner]);
+    }
+    return row.join(',');
+  });
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function exportChartCSV() {
+  const samples = visibleSamples(chartSamples());
+  downloadText('charts.csv', chartCSV(samples), 'text/csv');
+  log(`Saved charts.csv (${samples.length} cycles)`, 'info');
+}
+
+function exportChartPNG() {
+  const canvas = $('#chartCanvas');
+  if (!canvas) return;
+  renderChart();
+  canvas.toBlob(blob => {
+    if (!blob) {
+      log('Could not render the chart as PNG', 'error');
+      return;
+    }
+    downloadBlob('chart.png', blob);
+    log('Saved chart.png', 'info');
+  }, 'image/png');
+}
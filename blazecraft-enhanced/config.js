@@ -0,0 +1,49 @@
+/**
+ * BlazeCraft Enhanced Config
+ * Game constants shared by the simulation core and the browser view.
+ * DOM-free: loaded by the page, by workers and by headless.js.
+ */
+
+// ============================================================
+// CONFIGURATION (derived from MicroRTS game mechanics)
+// ============================================================
+const CONFIG = {
+  GRID_W: 16,
+  GRID_H: 16,
+  CELL_SIZE: 0, // computed on resize
+  // MicroRTS unit types. Display fields only: stats (hp, cost, damage,
+  // durations, sight, produces) come from the active UTT, see utt.js
+  UNIT_TYPES: {
+    resource: { color: '#22c55e', label: 'R' },
+    base:     { color: '#fbbf24', label: 'B' },
+    barracks: { color: '#fb923c', label: 'K' },
+    worker:   { color: '#60a5fa', label: 'W' },
+    light:    { color: '#34d399', label: 'L' },
+    heavy:    { color: '#f87171', label: 'H' },
+    ranged:   { color: '#a78bfa', label: 'R' },
+  },
+  UTT: null,      // { name, utt } active unit type table
+  // MicroRTS action types
+  ACTIONS: ['noop', 'move', 'harvest', 'return', 'produce', 'attack'],
+  // Reward function weights (see REWARDS in sim.js); the defaults are the
+  // vec env's reward_weight, editable in the reward panel
+  REWARD_WEIGHTS: { winLoss: 0.0, resources: 1.0, workers: 0.0, buildings: 0.0, attack: 0.0, combat: 5.0 },
+  // Physics
+  PARTICLE_LIMIT: 200,
+  TICK_MS: 50,
+  // Episode end: a live game still undecided after MAX_CYCLES is a draw;
+  // with auto-reset on, the next game starts GAME_OVER_RESET_MS later
+  MAX_CYCLES: 5000,
+  GAME_OVER_RESET_MS: 3000,
+  // Fog of war (reveal radius is each unit type's sight)
+  FOG_ENABLED: true,
+  // Bots only see what their own units see, like gym-microrts partial_obs=True
+  // (see playerView in sim.js); custom agents always do
+  PARTIAL_OBS: true,
+  // Live bridge to a training/eval process (see bridge.js); ?bridge=<url> overrides
+  BRIDGE_URL: 'ws://localhost:8765',
+  // Custom agents (see agenthost.js): replies later than the budget are
+  // dropped, and a worker silent for the timeout is restarted
+  AGENT_BUDGET_MS: 100,
+  AGENT_TIMEOUT_MS: 3000,
+};
@@ -0,0 +1,271 @@
+/**
+ * BlazeCraft Enhanced Map Editor
+ * Editor mode for building MicroRTS maps in the browser: paint terrain and
+ * resources, place units for either player, set starting gold, resize the
+ * grid, undo/redo, and mirror or rotate edits for balanced two-player maps.
+ * The editor works on a map object (see maps.js) and applies it to the
+ * board after every change, so Export always writes what is on screen.
+ */
+
+// ============================================================
+// EDITOR STATE
+// ============================================================
+const EDITOR_MIN_SIZE = 4;
+const EDITOR_MAX_SIZE = 64;
+const EDITOR_HISTORY_LIMIT = 100;
+
+const editor = {
+  doc: null,          // map object being edited
+  tool: 'wall',       // free | wall | resource | erase | <unit type>
+  player: 0,          // MicroRTS player ID for placed units
+  symmetry: 'none',   // none | mirrorX | mirrorY | rotate
+  resourceAmount: 25,
+  undo: [],
+  redo: [],
+  stroke: null,       // { erase, before, changed, last } while the mouse is down
+  savedFog: true,
+  savedDemo: false,
+};
+
+// ============================================================
+// ENTER / EXIT
+// ============================================================
+function enterEditor() {
+  editor.savedDemo = state.demoMode;
+  if (state.demoMode) toggleDemo();
+  editor.doc = snapshotMap();
+  editor.undo = [];
+  editor.redo = [];
+  editor.savedFog = state.fogEnabled;
+  state.fogEnabled = false;
+  applyEditorDoc();
+  syncEditorPanel();
+  log(`Editor: editing ${editor.doc.name} (${editor.doc.width}x${editor.doc.height})`, 'info');
+}
+
+function exitEditor() {
+  editor.stroke = null;
+  state.fogEnabled = editor.savedFog;
+  updateFog();
+  if (editor.savedDemo && !state.demoMode) toggleDemo();
+  log('Editor closed, simulation resumed', 'info');
+}
+
+// The board plays a copy, so later edits don't reach into the live game
+function applyEditorDoc() {
+  applyMap(JSON.parse(JSON.stringify(editor.doc)));
+}
+
+// ============================================================
+// EDITING
+// ============================================================
+function editorCommit(mutate) {
+  const before = JSON.stringify(editor.doc);
+  mutate(editor.doc);
+  if (JSON.stringify(editor.doc) === before) return;
+  editor.undo.push(before);
+  if (editor.undo.length > EDITOR_HISTORY_LIMIT) editor.undo.shift();
+  editor.redo = [];
+  applyEditorDoc();
+  syncEditorPanel();
+}
+
+function editorUndo() {
+  if (!editor.undo.length) return;
+  editor.redo.push(JSON.stringify(editor.doc));
+  editor.doc = JSON.parse(editor.undo.pop());
+  applyEditorDoc();
+  syncEditorPanel();
+}
+
+function editorRedo() {
+  if (!editor.redo.length) return;
+  editor.undo.push(JSON.stringify(editor.doc));
+  editor.doc = JSON.parse(editor.redo.pop());
+  applyEditorDoc();
+  syncEditorPanel();
+}
+
+// Cells that mirror (x, y) under the current symmetry, with whether players swap
+function symmetricCells(x, y, doc) {
+  const cells = [{ x, y, swap: false }];
+  const mx = doc.width - 1 - x;
+  const my = doc.height - 1 - y;
+  if (editor.symmetry === 'mirrorX') cells.push({ x: mx, y, swap: true });
+  else if (editor.symmetry === 'mirrorY') cells.push({ x, y: my, swap: true });
+  else if (editor.symmetry === 'rotate') cells.push({ x: mx, y: my, swap: true });
+  return cells.filter((c, i) => i === 0 || c.x !== x || c.y !== y);
+}
+
+function paintCell(doc, x, y, tool, player) {
+  doc.units = doc.units.filter(u => u.x !== x || u.y !== y);
+  doc.terrain[y][x] = tool === 'wall' ? 1 : 0;
+  if (tool === 'free' || tool === 'wall' || tool === 'erase') return;
+  const id = doc.units.reduce((m, u) => Math.max(m, u.id + 1), 1);
+  if (tool === 'resource') {
+    doc.units.push({ type: 'resource', id, player: -1, x, y, resources: editor.resourceAmount, hitpoints: 1 });
+  } else {
+    doc.units.push({ type: tool, id, player, x, y, resources: 0, hitpoints: CONFIG.UNIT_TYPES[tool].hp });
+  }
+}
+
+function editorPaint(gx, gy, erase) {
+  const doc = editor.doc;
+  if (gx < 0 || gx >= doc.width || gy < 0 || gy >= doc.height) return;
+  const tool = erase ? 'erase' : editor.tool;
+  for (const c of symmetricCells(gx, gy, doc)) {
+    paintCell(doc, c.x, c.y, tool, c.swap ? 1 - editor.player : editor.player);
+  }
+}
+
+function editorBeginStroke(erase) {
+  editor.stroke = { erase, before: JSON.stringify(editor.doc), changed: false, last: null };
+}
+
+function editorStrokeTo(gx, gy) {
+  const s = editor.stroke;
+  if (!s || (s.last && s.last.x === gx && s.last.y === gy)) return;
+  s.last = { x: gx, y: gy };
+  const prev = JSON.stringify(editor.doc);
+  editorPaint(gx, gy, s.erase);
+  if (JSON.stringify(editor.doc) === prev) return;
+  s.changed = true;
+  applyEditorDoc();
+}
+
+function editorEndStroke() {
+  const s = editor.stroke;
+  editor.stroke = null;
+  if (!s || !s.changed) return;
+  editor.undo.push(s.before);
+  if (editor.undo.length > EDITOR_HISTORY_LIMIT) editor.undo.shift();
+  editor.redo = [];
+  syncEditorPanel();
+}
+
+function editorResize(width, height) {
+  width = Math.max(EDITOR_MIN_SIZE, Math.min(EDITOR_MAX_SIZE, width | 0));
+  height = Math.max(EDITOR_MIN_SIZE, Math.min(EDITOR_MAX_SIZE, height | 0));
+  editorCommit(doc => {
+    doc.terrain = Array.from({ length: height }, (_, y) =>
+      Array.from({ length: width }, (_, x) => doc.terrain[y]?.[x] ?? 0));
+    doc.units = doc.units.filter(u => u.x < width && u.y < height);
+    doc.width = width;
+    doc.height = height;
+  });
+}
+
+function editorSetGold(player, amount) {
+  editorCommit(doc => {
+    const p = doc.players.find(pl => pl.id === player);
+    if (p) p.resources = Math.max(0, amount | 0);
+  });
+}
+
+// Copy the top/left half of the board onto the other half using the current symmetry
+function editorApplySymmetry() {
+  if (editor.symmetry === 'none') { log('Editor: choose a symmetry first', 'error'); return; }
+  editorCommit(doc => {
+    const keep = (x, y) => {
+      const [c] = symmetricCells(x, y, doc).slice(1);
+      if (!c) return true;
+      return editor.symmetry === 'mirrorX' ? x < c.x : y < c.y || (y === c.y && x < c.x);
+    };
+    const units = doc.units.filter(u => keep(u.x, u.y));
+    for (let y = 0; y < doc.height; y++) {
+      for (let x = 0; x < doc.width; x++) {
+        if (!keep(x, y)) continue;
+        const [c] = symmetricCells(x, y, doc).slice(1);
+        if (c) doc.terrain[c.y][c.x] = doc.terrain[y][x];
+      }
+    }
+    let id = units.reduce((m, u) => Math.max(m, u.id + 1), 1);
+    const mirrored = [];
+    for (const u of units) {
+      const [c] = symmetricCells(u.x, u.y, doc).slice(1);
+      if (!c) continue;
+      mirrored.push({ ...u, id: id++, x: c.x, y: c.y, player: u.player < 0 ? u.player : 1 - u.player });
+    }
+    doc.units = units.concat(mirrored);
+  });
+  log(`Editor: mirrored top/left half (${editor.symmetry})`, 'info');
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+function drawEditorOverlay(cs) {
+  const gx = state.mouse.gridX;
+  const gy = state.mouse.gridY;
+  if (!editor.doc || gx < 0 || gx >= CONFIG.GRID_W || gy < 0 || gy >= CONFIG.GRID_H) return;
+  const cells = symmetricCells(gx, gy, editor.doc);
+  ctx.lineWidth = 2;
+  cells.forEach((c, i) => {
+    ctx.strokeStyle = i === 0 ? '#f59e0b' : '#f59e0b66';
+    ctx.setLineDash(i === 0 ? [] : [4, 3]);
+    ctx.strokeRect(c.x * cs + 1, c.y * cs + 1, cs - 2, cs - 2);
+  });
+  ctx.setLineDash([]);
+
+  // Symmetry axis
+  if (editor.symmetry !== 'none') {
+    const w = CONFIG.GRID_W * cs;
+    const h = CONFIG.GRID_H * cs;
+    ctx.strokeStyle = '#f59e0b33';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    if (editor.symmetry === 'mirrorX') { ctx.moveTo(w / 2, 0); ctx.lineTo(w / 2, h); }
+    else if (editor.symmetry === 'mirrorY') { ctx.moveTo(0, h / 2); ctx.lineTo(w, h / 2); }
+    else { ctx.arc(w / 2, h / 2, 4, 0, Math.PI * 2); }
+    ctx.stroke();
+  }
+}
+
+// ============================================================
+// PANEL
+// ============================================================
+function initEditorPanel() {
+  const panel = $('#editorPanel');
+  if (!panel) return;
+
+  panel.querySelectorAll('[data-tool]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      editor.tool = btn.dataset.tool;
+      syncEditorPanel();
+    });
+  });
+  panel.querySelectorAll('[data-player]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      editor.player = parseInt(btn.dataset.player, 10);
+      syncEditorPanel();
+    });
+  });
+  $('#editorSymmetry')?.addEventListener('change', e => { editor.symmetry = e.target.value; });
+  $('#editorApplySymmetry')?.addEventListener('click', editorApplySymmetry);
+  $('#editorResourceAmount')?.addEventListener('change', e => {
+    editor.resourceAmount = Math.max(1, parseInt(e.target.value, 10) || 1);
+  });
+  $('#editorGold0')?.addEventListener('change', e => editorSetGold(0, parseInt(e.target.value, 10) || 0));
+  $('#editorGold1')?.addEventListener('change', e => editorSetGold(1, parseInt(e.target.value, 10) || 0));
+  $('#editorName')?.addEventListener('change', e => editorCommit(doc => { doc.name = e.target.value.trim() || 'untitled'; }));
+  $('#editorResize')?.addEventListener('click', () => {
+    editorResize(parseInt($('#editorWidth').value, 10), parseInt($('#editorHeight').value, 10));
+  });
+  $('#editorUndo')?.addEventListener('click', editorUndo);
+  $('#editorRedo')?.addEventListener('click', editorRedo);
+}
+
+function syncEditorPanel() {
+  const panel = $('#editorPanel');
+  if (!panel || !editor.doc) return;
+  panel.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b.dataset.tool === editor.tool));
+  panel.querySelectorAll('[data-player]').forEach(b => b.classList.toggle('active', parseInt(b.dataset.player, 10) === editor.player));
+  const gold = pid => editor.doc.players.find(p => p.id === pid)?.resources ?? 0;
+  $('#editorGold0').value = gold(0);
+  $('#editorGold1').value = gold(1);
+  $('#editorWidth').value = editor.doc.width;
+  $('#editorHeight').value = editor.doc.height;
+  $('#editorName').value = editor.doc.name;
+  $('#editorUndo').disabled = editor.undo.length === 0;
+  $('#editorRedo').disabled = editor.redo.length === 0;
+}
@@ -1,64 +1,55 @@
 /**
  * BlazeCraft Enhanced Engine
  * MicroRTS-inspired grid-based RTS engine with physics, particles, fog of war,
- * unit management, and real-time metrics.
+ * unit management, and real-time metrics. Game rules live in sim.js; this
+ * file drives the simulation and renders it.
  */
 
-// ============================================================
-// CONFIGURATION (derived from MicroRTS game mechanics)
-// ============================================================
-const CONFIG = {
-  GRID_W: 16,
-  GRID_H: 16,
-  CELL_SIZE: 0, // computed on resize
-  // MicroRTS unit types
-  UNIT_TYPES: {
-    resource: { hp: 99, speed: 0, attack: 0, range: 0, cost: 0, buildTime: 0, color: '#22c55e', label: 'R', isBuilding: true },
-    base:     { hp: 10, speed: 0, attack: 0, range: 0, cost: 200, buildTime: 200, color: '#fbbf24', label: 'B', isBuilding: true },
-    barracks: { hp: 6,  speed: 0, attack: 0, range: 0, cost: 150, buildTime: 150, color: '#fb923c', label: 'K', isBuilding: true },
-    worker:   { hp: 1,  speed: 1, attack: 1, range: 1, cost: 50,  buildTime: 50,  color: '#60a5fa', label: 'W', isBuilding: false },
-    light:    { hp: 2,  speed: 2, attack: 2, range: 1, cost: 100, buildTime: 80,  color: '#34d399', label: 'L', isBuilding: false },
-    heavy:    { hp: 4,  speed: 1, attack: 4, range: 1, cost: 150, buildTime: 120, color: '#f87171', label: 'H', isBuilding: false },
-    ranged:   { hp: 1,  speed: 1, attack: 2, range: 3, cost: 120, buildTime: 100, color: '#a78bfa', label: 'R', isBuilding: false },
-  },
-  // MicroRTS action types
-  ACTIONS: ['noop', 'move', 'harvest', 'return', 'produce', 'attack'],
-  // MicroRTS reward weights
-  REWARD_WEIGHTS: { winLoss: 10.0, resources: 1.0, workers: 1.0, buildings: 0.2, attack: 1.0, combat: 4.0 },
-  // Physics
-  PARTICLE_LIMIT: 200,
-  TICK_MS: 50,
-  // Fog of war
-  FOG_ENABLED: true,
-  VISION_RANGE: 4,
-};
-
 // ============================================================
 // STATE
 // ============================================================
 const state = {
-  units: [],
+  game: null,     // simulation state being viewed (see sim.js)
   particles: [],
-  grid: [],       // terrain: 0=free, 1=wall, 2=resource
-  fogGrid: [],    // 0=hidden, 1=explored, 2=visible
+  renderPos: {},  // unit id -> { rx, ry } smoothed render position
+  snapshot: null, // { at, prev: unit id -> { x, y } } the sim snapshot before the one shown
+  fogGrid: [],    // the shown player's fog: 0=hidden, 1=explored, 2=visible
+  fogGrids: {},   // owner -> that player's fog grid; 0 -> all visible, for spectators
+  view: 1,        // whose fog the board shows: 1, 2, or 0 for a spectator
   selected: [],
+  placing: null,  // { unitType, unit } building a selected worker is about to build
   camera: { x: 0, y: 0, zoom: 1 },
   mouse: { x: 0, y: 0, gridX: 0, gridY: 0, down: false, button: 0, dragStart: null },
-  resources: { gold: 200, tasks: 0, files: 0, tokens: 0, failed: 0, workers: 0 },
-  cycle: 0,
+  resources: { tasks: 0, files: 0, tokens: 0, failed: 0, workers: 0 },
   startTime: Date.now(),
   demoMode: true,
+  mode: 'rts',    // rts | ops | tech | editor
   fogEnabled: CONFIG.FOG_ENABLED,
   showGrid: true,
+  showPaths: false, // draw planned paths of selected units
+  obsView: null,  // observation plane shown as a heatmap (see obsview.js)
+  showMask: false, // draw the action masks of selected units
   logFilter: 'all',
   events: [],
   opsEvents: 0,
   opsErrors: 0,
-  rewards: { winLoss: 0, resources: 0, workers: 0, buildings: 0, attack: 0, combat: 0 },
-  prodQueue: [],
-  nextUnitId: 1,
+  bots: { 1: null, 2: 'simpleAI' }, // owner -> bot or agent id playing that slot (see bots.js, agenthost.js); null for human
+  map: null,      // map object the current game started from
+  demoRandom: null, // { rng } stream for the demo driver, seeded from the game
+  replay: null,   // recording of the live game (see replay.js)
+  playback: null, // open replay being watched (see playback.js)
+  bridge: null,   // live bridge connection (see bridge.js)
+  league: null,   // tournament being run or last run (see league.js)
+  sim: { post: null, worker: null, gen: 0, running: false }, // live game's simulation host (see simhost.js)
+  gameOver: null, // { result, timer } how the live game ended, while the game-over panel is up
+  autoReset: '',  // after a game ends: '' stop, 'same' map with the next seed, 'next' catalog map
+  rewardPlayer: 1, // owner whose rewards the reward panel shows
+  charts: null,   // chart panel settings and samples (see charts.js)
 };
 
+// The running simulation; state.game is its state
+let game = null;
+
 // ============================================================
 // DOM REFS
 // ============================================================
@@ -75,62 +66,84 @@ const pctx = portraitCanvas.getContext('2d');
 // INITIALIZATION
 // ============================================================
 function init() {
-  initGrid();
-  initUnits();
-  initFog();
-  resizeCanvas();
+  initSim();
+  applyMap(parseMapXML(DEFAULT_MAP_XML, MAP_CATALOG[0].name));
   bindEvents();
-  updateFog();
   requestAnimationFrame(gameLoop);
   setInterval(gameTick, CONFIG.TICK_MS);
-  if (state.demoMode) startDemo();
   log('System online. BlazeCraft Enhanced initialized.', 'info');
-  log('MicroRTS engine loaded: 16x16 grid, 7 unit types', 'info');
+  log(`MicroRTS engine loaded: ${CONFIG.GRID_W}x${CONFIG.GRID_H} grid, 7 unit types`, 'info');
 }
 
-// Generate MicroRTS-style map (basesWorkers16x16)
-function initGrid() {
-  state.grid = Array.from({ length: CONFIG.GRID_H }, () => Array(CONFIG.GRID_W).fill(0));
-  // Walls
-  for (let y = 6; y <= 9; y++) { state.grid[y][7] = 1; state.grid[y][8] = 1; }
-  // Resources
-  state.grid[2][6] = 2; state.grid[2][7] = 2; state.grid[3][6] = 2;
-  state.grid[12][9] = 2; state.grid[13][8] = 2; state.grid[13][9] = 2;
+// Start a new game on a parsed MicroRTS map (see maps.js)
+function applyMap(map, seed) {
+  state.map = map;
+  useGame(createGame(map, seed));
 }
 
-function initUnits() {
-  // Player 1 (blue)
-  spawnUnit('base', 1, 1, 1);
-  spawnUnit('worker', 2, 1, 1);
-  spawnUnit('worker', 1, 2, 1);
-  // Player 2 (red / AI enemy)
-  spawnUnit('base', 14, 14, 2);
-  spawnUnit('worker', 13, 14, 2);
-  spawnUnit('worker', 14, 13, 2);
+// Point the view at a game and reset everything that only the view owns.
+// Recording starts over unless an existing recording of `g` is passed in.
+function useGame(g, replay = createReplay(state.map, g.state)) {
+  state.playback = null;
+  state.replay = replay;
+  game = g;
+  state.game = g.state;
+  CONFIG.GRID_W = g.state.width;
+  CONFIG.GRID_H = g.state.height;
+  state.selected = [];
+  state.placing = null;
+  state.renderPos = {};
+  state.snapshot = null;
+  closeGameOver();
+  state.demoRandom = { rng: (g.state.seed ^ DEMO_SEED_SALT) >>> 0 };
+  state.startTime = Date.now();
+  const seedInput = $('#seedInput');
+  if (seedInput) seedInput.value = g.state.seed;
+  const losToggle = $('#losToggle');
+  if (losToggle) losToggle.checked = !!g.state.lineOfSight;
+  initFog();
+  updateFog();
+  resizeCanvas();
+  renderProdQueue();
+  syncPlaybackBar();
+  restartSim();
+}
+
+// Inverse of applyMap: capture the current board as a map object
+function snapshotMap() {
+  return mapFromState(state.game, state.map?.name);
 }
 
 function initFog() {
-  state.fogGrid = Array.from({ length: CONFIG.GRID_H }, () => Array(CONFIG.GRID_W).fill(0));
-}
-
-function spawnUnit(type, gx, gy, owner) {
-  const def = CONFIG.UNIT_TYPES[type];
-  const unit = {
-    id: state.nextUnitId++,
-    type, owner,
-    gx, gy,
-    // Smooth position for rendering (physics interpolation)
-    rx: gx, ry: gy,
-    hp: def.hp, maxHp: def.hp,
-    action: 'noop',
-    target: null,
-    progress: 0,
-    carrying: 0,
-    task: null,
-    vx: 0, vy: 0, // velocity for physics
-  };
-  state.units.push(unit);
-  return unit;
+  const grid = fill => Array.from({ length: CONFIG.GRID_H }, () => Array(CONFIG.GRID_W).fill(fill));
+  state.fogGrids = { 0: grid(2), 1: grid(0), 2: grid(0) };
+  state.fogGrid = state.fogGrids[state.fogEnabled ? state.view : 0];
+}
+
+// Queue a player 1 order for the next simulation step
+function issueOrder(order) {
+  if (state.playback || state.bridge?.live) return;
+  postOrders(1, [order]);
+}
+
+// Drive a player for the next step with a gym-microrts gridnet action tensor
+// (see gridnet.js). `player` is the MicroRTS player ID, 0 or 1. Replaces the
+// mouse or AI orders that player would otherwise give that step.
+function submitGridnetActions(player, actions) {
+  if (state.playback || state.bridge?.live) return null;
+  const owner = player + 1;
+  const result = gridnetToOrders(state.game, owner, actions);
+  state.sim.post({ type: 'orders', owner, orders: result.orders, replace: true });
+  if (result.rejected.length) {
+    addOpsEntry(`Gridnet P${owner}: ${result.orders.length} orders, ${result.rejected.length} actions dropped`);
+  }
+  return result;
+}
+
+// Legal gridnet action components per cell for MicroRTS player `player`
+// (0 or 1), as get_action_mask() returns them (see actionMasks in gridnet.js)
+function getActionMasks(player) {
+  return actionMasks(state.game, player + 1);
 }
 
 // ============================================================
@@ -143,7 +156,7 @@ function resizeCanvas() {
   canvas.style.width = rect.width + 'px';
   canvas.style.height = rect.height + 'px';
   ctx.scale(devicePixelRatio, devicePixelRatio);
-  CONFIG.CELL_SIZE = Math.min(rect.width, rect.height) / CONFIG.GRID_W;
+  CONFIG.CELL_SIZE = Math.min(rect.width / CONFIG.GRID_W, rect.height / CONFIG.GRID_H);
 }
 window.addEventListener('resize', resizeCanvas);
 
@@ -155,8 +168,11 @@ let lastFrame = 0;
 function gameLoop(ts) {
   const dt = (ts - lastFrame) / 1000;
   lastFrame = ts;
-  updatePhysics(dt);
-  render(dt);
+  // A running tournament gets the frame budget; the board isn't drawn
+  if (!state.league?.running) {
+    updatePhysics(dt);
+    render(dt);
+  }
   requestAnimationFrame(gameLoop);
 }
 
@@ -178,6 +194,8 @@ function render(dt) {
   drawTerrain(cs);
   // Draw fog
   if (state.fogEnabled) drawFog(cs);
+  // Draw buildings under construction
+  drawConstruction(cs);
   // Draw units
   drawUnits(cs, dt);
   // Draw particles
@@ -186,6 +204,20 @@ function render(dt) {
   drawSelectionBox(cs, ox, oy);
   // Draw attack lines
   drawAttackLines(cs);
+  // Draw planned paths
+  if (state.showPaths) drawPaths(cs);
+  // Rally points of selected buildings
+  drawRallyPoints(cs);
+  // Remaining amount of the resource under the cursor
+  drawResourceHover(cs);
+  // Building placement preview
+  if (state.placing) drawBuildGhost(cs);
+  // Observation plane heatmap
+  if (state.obsView) drawObsHeatmap(cs);
+  // Action masks of selected units
+  if (state.showMask) drawMaskOverlay(cs);
+  // Editor cursor and symmetry guides
+  if (state.mode === 'editor') drawEditorOverlay(cs);
 
   ctx.restore();
 
@@ -208,7 +240,7 @@ function drawGrid(cs) {
 function drawTerrain(cs) {
   for (let y = 0; y < CONFIG.GRID_H; y++) {
     for (let x = 0; x < CONFIG.GRID_W; x++) {
-      const t = state.grid[y][x];
+      const t = state.game.grid[y][x];
       if (t === 1) {
         // Wall
         ctx.fillStyle = '#2a1f14';
@@ -258,12 +290,13 @@ function drawFog(cs) {
 }
 
 function drawUnits(cs, dt) {
-  for (const u of state.units) {
+  for (const u of state.game.units) {
     // Skip if in fog
-    if (state.fogEnabled && state.fogGrid[u.gy]?.[u.gx] < 2 && u.owner !== 1) continue;
+    if (hiddenByFog(u.owner, u.gx, u.gy)) continue;
 
-    const px = u.rx * cs + cs / 2;
-    const py = u.ry * cs + cs / 2;
+    const pos = renderPos(u);
+    const px = pos.rx * cs + cs / 2;
+    const py = pos.ry * cs + cs / 2;
     const r = cs * 0.35;
     const def = CONFIG.UNIT_TYPES[u.type];
 
@@ -368,6 +401,56 @@ function drawUnits(cs, dt) {
   }
 }
 
+// Buildings a worker is producing into a cell: a faded building filling in
+// with a progress bar
+function drawConstruction(cs) {
+  for (const pq of state.game.prodQueue) {
+    const def = CONFIG.UNIT_TYPES[pq.unitType];
+    if (pq.x === undefined || !def.isBuilding) continue;
+    if (hiddenByFog(pq.owner, pq.x, pq.y)) continue;
+    const px = pq.x * cs + cs / 2;
+    const py = pq.y * cs + cs / 2;
+    const bsize = cs * 0.7;
+    const pct = pq.progress / pq.total;
+    ctx.globalAlpha = 0.25 + 0.5 * pct;
+    ctx.fillStyle = def.color;
+    ctx.fillRect(px - bsize / 2, py - bsize / 2, bsize, bsize);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = pq.owner === 1 ? '#3b82f6' : '#ef4444';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 3]);
+    ctx.strokeRect(px - bsize / 2, py - bsize / 2, bsize, bsize);
+    ctx.setLineDash([]);
+    // Progress bar
+    const bw = cs * 0.6;
+    ctx.fillStyle = '#0008';
+    ctx.fillRect(px - bw / 2, py + bsize / 2 + 3, bw, 3);
+    ctx.fillStyle = '#fbbf24';
+    ctx.fillRect(px - bw / 2, py + bsize / 2 + 3, bw * pct, 3);
+  }
+}
+
+function drawBuildGhost(cs) {
+  const x = state.mouse.gridX;
+  const y = state.mouse.gridY;
+  if (x < 0 || x >= CONFIG.GRID_W || y < 0 || y >= CONFIG.GRID_H) return;
+  const def = CONFIG.UNIT_TYPES[state.placing.unitType];
+  const color = placementProblem(x, y) ? '#ef4444' : '#22c55e';
+  const bsize = cs * 0.7;
+  ctx.globalAlpha = 0.4;
+  ctx.fillStyle = def.color;
+  ctx.fillRect(x * cs + (cs - bsize) / 2, y * cs + (cs - bsize) / 2, bsize, bsize);
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x * cs + 1, y * cs + 1, cs - 2, cs - 2);
+  ctx.fillStyle = color;
+  ctx.font = `bold ${cs * 0.3}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(def.label, x * cs + cs / 2, y * cs + cs / 2);
+}
+
 function drawParticles(cs, dt) {
   for (let i = state.particles.length - 1; i >= 0; i--) {
     const p = state.particles[i];
@@ -420,22 +503,86 @@ function drawSelectionBox(cs, ox, oy) {
 }
 
 function drawAttackLines(cs) {
-  for (const u of state.units) {
-    if (u.action === 'attack' && u.target && u.owner === 1) {
-      const tx = state.units.find(t => t.id === u.target);
+  for (const u of state.game.units) {
+    // Both sides' attacks show when watching a replay or trace
+    if (u.action === 'attack' && u.target && (u.owner === 1 || state.playback)) {
+      const tx = state.game.units.find(t => t.id === u.target);
       if (!tx) continue;
-      ctx.strokeStyle = '#ef444488';
+      const from = renderPos(u);
+      const to = renderPos(tx);
+      ctx.strokeStyle = u.owner === 1 ? '#ef444488' : '#f59e0b88';
       ctx.lineWidth = 1;
       ctx.setLineDash([3, 3]);
       ctx.beginPath();
-      ctx.moveTo(u.rx * cs + cs / 2, u.ry * cs + cs / 2);
-      ctx.lineTo(tx.rx * cs + cs / 2, tx.ry * cs + cs / 2);
+      ctx.moveTo(from.rx * cs + cs / 2, from.ry * cs + cs / 2);
+      ctx.lineTo(to.rx * cs + cs / 2, to.ry * cs + cs / 2);
       ctx.stroke();
       ctx.setLineDash([]);
     }
   }
 }
 
+function drawResourceHover(cs) {
+  const x = state.mouse.gridX;
+  const y = state.mouse.gridY;
+  if (state.game.grid[y]?.[x] !== 2 || !state.fogGrid[y]?.[x]) return;
+  const label = `${state.game.resourceAmounts[y][x]}`;
+  ctx.font = `bold ${Math.max(9, cs * 0.28)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const w = ctx.measureText(label).width + 6;
+  ctx.fillStyle = '#000a';
+  ctx.fillRect(x * cs + cs / 2 - w / 2, y * cs - cs * 0.2, w, cs * 0.36);
+  ctx.fillStyle = '#d1fae5';
+  ctx.fillText(label, x * cs + cs / 2, y * cs - cs * 0.02);
+}
+
+function drawRallyPoints(cs) {
+  for (const id of state.selected) {
+    const b = state.game.units.find(x => x.id === id);
+    if (!b || !b.rally) continue;
+    const x = b.rally.x * cs + cs / 2;
+    const y = b.rally.y * cs + cs / 2;
+    ctx.strokeStyle = '#fbbf2488';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    ctx.beginPath();
+    ctx.moveTo(b.gx * cs + cs / 2, b.gy * cs + cs / 2);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    // Flag
+    ctx.strokeStyle = '#fbbf24';
+    ctx.beginPath();
+    ctx.moveTo(x, y + cs * 0.25);
+    ctx.lineTo(x, y - cs * 0.25);
+    ctx.stroke();
+    ctx.fillStyle = '#fbbf24';
+    ctx.fillRect(x, y - cs * 0.25, cs * 0.2, cs * 0.12);
+  }
+}
+
+function drawPaths(cs) {
+  ctx.strokeStyle = '#22c55eaa';
+  ctx.fillStyle = '#22c55e';
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([2, 3]);
+  for (const id of state.selected) {
+    const u = state.game.units.find(x => x.id === id);
+    if (!u || !u.path || !u.path.length) continue;
+    const pos = renderPos(u);
+    ctx.beginPath();
+    ctx.moveTo(pos.rx * cs + cs / 2, pos.ry * cs + cs / 2);
+    for (const p of u.path) ctx.lineTo(p.x * cs + cs / 2, p.y * cs + cs / 2);
+    ctx.stroke();
+    const end = u.path[u.path.length - 1];
+    ctx.beginPath();
+    ctx.arc(end.x * cs + cs / 2, end.y * cs + cs / 2, cs * 0.1, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.setLineDash([]);
+}
+
 // ============================================================
 // MINIMAP
 // ============================================================
@@ -451,14 +598,29 @@ function renderMinimap() {
   // Terrain
   for (let y = 0; y < CONFIG.GRID_H; y++) {
     for (let x = 0; x < CONFIG.GRID_W; x++) {
-      const t = state.grid[y][x];
+      const t = state.game.grid[y][x];
       if (t === 1) { mctx.fillStyle = '#3a2a18'; mctx.fillRect(x * cw, y * ch, cw, ch); }
       else if (t === 2) { mctx.fillStyle = '#22c55e66'; mctx.fillRect(x * cw, y * ch, cw, ch); }
     }
   }
 
+  // Remaining resource amounts, where the cells are big enough to read and,
+  // as on hover, the cell has been explored
+  if (ch >= 8) {
+    mctx.fillStyle = '#d1fae5';
+    mctx.font = `${Math.floor(ch * 0.7)}px sans-serif`;
+    mctx.textAlign = 'center';
+    mctx.textBaseline = 'middle';
+    for (let y = 0; y < CONFIG.GRID_H; y++) {
+      for (let x = 0; x < CONFIG.GRID_W; x++) {
+        if (state.game.grid[y][x] === 2 && state.fogGrid[y][x]) mctx.fillText(state.game.resourceAmounts[y][x], x * cw + cw / 2, y * ch + ch / 2);
+      }
+    }
+  }
+
   // Units
-  for (const u of state.units) {
+  for (const u of state.game.units) {
+    if (hiddenByFog(u.owner, u.gx, u.gy)) continue;
     mctx.fillStyle = u.owner === 1 ? '#3b82f6' : '#ef4444';
     const s = CONFIG.UNIT_TYPES[u.type].isBuilding ? cw * 1.2 : cw * 0.8;
     mctx.fillRect(u.gx * cw + (cw - s) / 2, u.gy * ch + (ch - s) / 2, s, s);
@@ -520,11 +682,22 @@ function renderPortrait(unit) {
 // PHYSICS ENGINE
 // ============================================================
 function updatePhysics(dt) {
-  for (const u of state.units) {
-    // Smooth position interpolation (lerp toward grid position)
-    const lerp = Math.min(1, dt * 8);
-    u.rx += (u.gx - u.rx) * lerp;
-    u.ry += (u.gy - u.ry) * lerp;
+  // Live units move between the last two sim snapshots, one tick behind;
+  // anything else (replays, bridged games, new units) lerps toward its cell
+  const snap = state.snapshot;
+  const alpha = snap ? Math.min(1, (performance.now() - snap.at) / CONFIG.TICK_MS) : 1;
+  const lerp = Math.min(1, dt * 8);
+  for (const u of state.game.units) {
+    const pos = renderPos(u);
+    const to = cellPos(u);
+    const from = snap?.prev[u.id];
+    if (from) {
+      pos.rx = from.x + (to.x - from.x) * alpha;
+      pos.ry = from.y + (to.y - from.y) * alpha;
+    } else {
+      pos.rx += (to.x - pos.rx) * lerp;
+      pos.ry += (to.y - pos.ry) * lerp;
+    }
   }
 
   // Particle physics
@@ -545,9 +718,26 @@ function updatePhysics(dt) {
   }
 }
 
+// Where a unit stands: its cell, or partway to the next while a move is in progress
+function cellPos(u) {
+  let x = u.gx, y = u.gy;
+  if (u.step && u.step.kind === 'move') {
+    const t = 1 - u.busy / CONFIG.UNIT_TYPES[u.type].moveTime;
+    x += (u.step.x - u.gx) * t;
+    y += (u.step.y - u.gy) * t;
+  }
+  return { x, y };
+}
+
+// Smoothed render position, kept out of the simulation state
+function renderPos(u) {
+  return state.renderPos[u.id] || (state.renderPos[u.id] = { rx: u.gx, ry: u.gy });
+}
+
 // ============================================================
 // PARTICLE EMITTERS
 // ============================================================
+// Cosmetic: Math.random here never touches the seeded game streams
 function emitExplosion(gx, gy) {
   for (let i = 0; i < 20; i++) {
     if (state.particles.length >= CONFIG.PARTICLE_LIMIT) break;
@@ -605,219 +795,279 @@ function emitSpawn(gx, gy, color) {
 // ============================================================
 // FOG OF WAR
 // ============================================================
+// Each player explores the map on its own; the board shows the viewed
+// player's fog, or none for a spectator or with fog off
 function updateFog() {
-  if (!state.fogEnabled) {
-    for (let y = 0; y < CONFIG.GRID_H; y++)
-      for (let x = 0; x < CONFIG.GRID_W; x++)
-        state.fogGrid[y][x] = 2;
-    return;
-  }
-  // Downgrade visible to explored
-  for (let y = 0; y < CONFIG.GRID_H; y++)
-    for (let x = 0; x < CONFIG.GRID_W; x++)
-      if (state.fogGrid[y][x] === 2) state.fogGrid[y][x] = 1;
-
-  // Reveal around player 1 units
-  for (const u of state.units) {
-    if (u.owner !== 1) continue;
-    const range = CONFIG.VISION_RANGE;
-    for (let dy = -range; dy <= range; dy++) {
-      for (let dx = -range; dx <= range; dx++) {
-        if (dx * dx + dy * dy > range * range) continue;
-        const nx = u.gx + dx;
-        const ny = u.gy + dy;
-        if (nx >= 0 && nx < CONFIG.GRID_W && ny >= 0 && ny < CONFIG.GRID_H) {
-          state.fogGrid[ny][nx] = 2;
-        }
+  for (const owner of [1, 2]) {
+    const fog = state.fogGrids[owner];
+    const seen = visibleCells(state.game, owner);
+    for (let y = 0; y < CONFIG.GRID_H; y++) {
+      for (let x = 0; x < CONFIG.GRID_W; x++) {
+        if (seen[y * CONFIG.GRID_W + x]) fog[y][x] = 2;
+        else if (fog[y][x] === 2) fog[y][x] = 1;
       }
     }
   }
+  state.fogGrid = state.fogGrids[state.fogEnabled ? state.view : 0];
+}
+
+// The other player's units and construction in cells the viewed player
+// can't see right now aren't drawn
+function hiddenByFog(owner, x, y) {
+  return state.fogGrid[y]?.[x] < 2 && owner !== state.view;
+}
+
+// Line of sight is a map setting, and the recording's starting state
+// carries it: it switches in place before the first cycle, and once the
+// game is under way the map starts over with the same seed. A replay or a
+// bridged game keeps the setting it was played with.
+function setLineOfSight(on) {
+  if (state.playback || !state.replay) {
+    const toggle = $('#losToggle');
+    if (toggle) toggle.checked = !!state.game.lineOfSight;
+    log('Line of sight is fixed for a game that is not played here', 'error');
+    return;
+  }
+  if (state.mode === 'editor') {
+    // The edited map is the source of the board; this is one more edit
+    editorCommit(doc => { doc.lineOfSight = on; });
+    log(`Line of sight: ${on ? 'walls block vision' : 'radius only'}`, 'info');
+    return;
+  }
+  if (state.map) state.map.lineOfSight = on;
+  if (state.game.cycle !== state.replay.initial.cycle) {
+    const map = state.map || snapshotMap();
+    map.lineOfSight = on;
+    applyMap(map, state.game.seed);
+    log(`Line of sight: ${on ? 'walls block vision' : 'radius only'}, map restarted`, 'info');
+    return;
+  }
+  state.game.lineOfSight = on;
+  state.replay.initial.lineOfSight = on;
+  if (state.sim.running) restartSim();
+  updateFog();
+  log(`Line of sight: ${on ? 'walls block vision' : 'radius only'}`, 'info');
+}
+
+function setView(view) {
+  state.view = view;
+  const select = $('#viewSelect');
+  if (select) select.value = view;
+  updateFog();
+  log(view ? `Viewing player ${view}'s fog of war` : 'Viewing as spectator', 'info');
 }
 
 // ============================================================
-// GAME TICK (simulation)
+// SIMULATION HOST
 // ============================================================
-function gameTick() {
-  state.cycle++;
+// The live game steps in sim-worker.js and state.game mirrors its latest
+// snapshot; orders go to it as messages. Where workers aren't available
+// (file:// pages) the same host runs on the page.
+function initSim() {
+  let worker;
+  try {
+    worker = new Worker('sim-worker.js');
+  } catch (err) {
+    useLocalSim();
+    return;
+  }
+  worker.onmessage = e => onSimMessage(e.data);
+  worker.onerror = e => {
+    e.preventDefault();
+    log('Simulation worker failed, simulating on the page', 'error');
+    useLocalSim();
+  };
+  state.sim.worker = worker;
+  state.sim.post = msg => worker.postMessage(msg);
+}
+
+function useLocalSim() {
+  state.sim.worker?.terminate();
+  state.sim.worker = null;
+  // Messages are copied both ways, as they would be to and from a worker
+  const host = createSimHost(msg => onSimMessage(JSON.parse(JSON.stringify(msg))));
+  state.sim.post = msg => host.receive(JSON.parse(JSON.stringify(msg)));
+  if (state.game) restartSim();
+}
+
+// Run the host while an unfinished live game is on screen and nothing else
+// has the board
+function syncSim() {
+  const run = !!state.replay && state.mode !== 'editor' && !state.league?.running &&
+    gameResult(state.game, CONFIG.MAX_CYCLES) === null;
+  if (run === state.sim.running || !state.sim.post) return;
+  state.sim.running = run;
+  state.sim.gen++;  // steps still in flight from before are ignored
+  if (run) state.sim.post({ type: 'start', gen: state.sim.gen, state: state.game, utt: CONFIG.UTT, bots: state.bots, maxCycles: CONFIG.MAX_CYCLES });
+  else state.sim.post({ type: 'stop' });
+}
+
+// Hand the host the game now on screen
+function restartSim() {
+  state.sim.running = null;
+  syncSim();
+}
+
+function postOrders(owner, orders) {
+  if (orders.length) state.sim.post({ type: 'orders', owner, orders });
+}
+
+function onSimMessage(msg) {
+  if (msg.type !== 'tick' || msg.gen !== state.sim.gen || !state.sim.running) return;
+  state.snapshot = {
+    at: performance.now(),
+    prev: Object.fromEntries(state.game.units.map(u => [u.id, cellPos(u)])),
+  };
+  game.state = msg.state;
+  state.game = msg.state;
+  recordStep(state.replay, state.game.cycle, msg.orders);
+  handleGameEvents(msg.events);
   updateGameTime();
-  processActions();
-  processAI();
-  processProduction();
   updateFog();
   updateUI();
   updateRewards();
+  recordChartSample();
+  if (msg.result !== null) {
+    state.sim.running = false;  // the host stopped itself
+    endGame(msg.result);
+    return;
+  }
 
-  if (state.cycle % 20 === 0) {
-    addOpsEntry(`Cycle ${state.cycle}: ${state.units.length} units active`);
+  if (state.game.cycle % 20 === 0) {
+    addOpsEntry(`Cycle ${state.game.cycle}: ${state.game.units.length} units active`);
   }
-}
 
-function processActions() {
-  for (const u of state.units) {
-    if (u.action === 'move' && u.target) {
-      const dx = u.target.x - u.gx;
-      const dy = u.target.y - u.gy;
-      if (dx === 0 && dy === 0) { u.action = 'noop'; u.target = null; continue; }
-      const sx = Math.sign(dx);
-      const sy = Math.sign(dy);
-      const nx = u.gx + (Math.abs(dx) > Math.abs(dy) ? sx : 0);
-      const ny = u.gy + (Math.abs(dx) <= Math.abs(dy) ? sy : 0);
-      if (isWalkable(nx, ny)) { u.gx = nx; u.gy = ny; }
-      if (u.gx === u.target.x && u.gy === u.target.y) { u.action = 'noop'; u.target = null; }
-    }
-    else if (u.action === 'harvest') {
-      u.progress++;
-      if (u.progress >= 10) {
-        u.carrying = Math.min(u.carrying + 1, 4);
-        u.progress = 0;
-        emitHarvest(u.gx, u.gy);
-        if (u.carrying >= 2) {
-          u.action = 'return';
-          const base = state.units.find(b => b.type === 'base' && b.owner === u.owner);
-          if (base) u.target = { x: base.gx, y: base.gy };
-        }
-      }
-    }
-    else if (u.action === 'return' && u.target) {
-      const dx = u.target.x - u.gx;
-      const dy = u.target.y - u.gy;
-      if (Math.abs(dx) + Math.abs(dy) <= 1) {
-        state.resources.gold += u.carrying * 25;
-        state.rewards.resources += u.carrying * 0.1;
-        u.carrying = 0;
-        u.action = 'noop';
-        u.target = null;
-        log(`Worker returned ${u.carrying || 2} resources`, 'economy');
-      } else {
-        const sx = Math.sign(dx);
-        const sy = Math.sign(dy);
-        const nx = u.gx + (Math.abs(dx) > Math.abs(dy) ? sx : 0);
-        const ny = u.gy + (Math.abs(dx) <= Math.abs(dy) ? sy : 0);
-        if (isWalkable(nx, ny)) { u.gx = nx; u.gy = ny; }
-      }
-    }
-    else if (u.action === 'attack' && u.target) {
-      const target = state.units.find(t => t.id === u.target);
-      if (!target || target.hp <= 0) { u.action = 'noop'; u.target = null; continue; }
-      const dist = Math.abs(target.gx - u.gx) + Math.abs(target.gy - u.gy);
-      const def = CONFIG.UNIT_TYPES[u.type];
-      if (dist <= def.range) {
-        target.hp -= def.attack * 0.2;
-        state.rewards.attack += 0.05;
-        if (target.hp <= 0) {
-          emitExplosion(target.gx, target.gy);
-          log(`${u.type} destroyed enemy ${target.type}!`, 'combat');
-          state.rewards.combat += 0.2;
-          state.units = state.units.filter(x => x.id !== target.id);
-          u.action = 'noop';
-          u.target = null;
-        }
-      } else {
-        // Move toward target
-        const dx = Math.sign(target.gx - u.gx);
-        const dy = Math.sign(target.gy - u.gy);
-        const nx = u.gx + dx;
-        const ny = u.gy + dy;
-        if (isWalkable(nx, ny)) { u.gx = nx; u.gy = ny; }
-      }
-    }
+  // Orders decided on the page go out for the next step: loaded agents
+  // (bots play in the host) and the demo driver
+  for (const owner of [1, 2]) {
+    const agent = AGENTS.find(a => a.id === state.bots[owner]);
+    if (agent) postOrders(owner, agent.play(state.game, owner));
+  }
+  if (state.demoMode && state.game.cycle % DEMO_INTERVAL_CYCLES === 0) {
+    const orders = { 1: [], 2: [] };
+    runDemo(orders);
+    postOrders(1, orders[1]);
+    postOrders(2, orders[2]);
   }
 }
 
-function processAI() {
-  if (state.cycle % 5 !== 0) return;
-  // Simple AI for player 2 (enemy)
-  for (const u of state.units) {
-    if (u.owner !== 2 || u.action !== 'noop') continue;
-    const def = CONFIG.UNIT_TYPES[u.type];
-    if (def.isBuilding) continue;
-
-    // Find nearest player 1 unit
-    let nearest = null, minDist = Infinity;
-    for (const t of state.units) {
-      if (t.owner !== 1) continue;
-      const d = Math.abs(t.gx - u.gx) + Math.abs(t.gy - u.gy);
-      if (d < minDist) { minDist = d; nearest = t; }
-    }
-
-    if (nearest && minDist <= 8) {
-      u.action = 'attack';
-      u.target = nearest.id;
-    } else if (Math.random() < 0.1) {
-      // Random patrol
-      u.action = 'move';
-      u.target = {
-        x: Math.max(0, Math.min(CONFIG.GRID_W - 1, u.gx + Math.floor(Math.random() * 5) - 2)),
-        y: Math.max(0, Math.min(CONFIG.GRID_H - 1, u.gy + Math.floor(Math.random() * 5) - 2))
-      };
-    }
-  }
+// Replays play back on the page's own timer
+function gameTick() {
+  if (state.mode === 'editor') return;
+  if (state.playback) tickPlayback();
 }
 
-function processProduction() {
-  for (let i = state.prodQueue.length - 1; i >= 0; i--) {
-    const pq = state.prodQueue[i];
-    pq.progress++;
-    if (pq.progress >= pq.total) {
-      // Find empty spot near producer
-      const spots = [
-        [pq.gx + 1, pq.gy], [pq.gx - 1, pq.gy],
-        [pq.gx, pq.gy + 1], [pq.gx, pq.gy - 1],
-        [pq.gx + 1, pq.gy + 1], [pq.gx - 1, pq.gy - 1],
-      ];
-      const spot = spots.find(([x, y]) => isWalkable(x, y));
-      if (spot) {
-        const newUnit = spawnUnit(pq.unitType, spot[0], spot[1], 1);
-        emitSpawn(spot[0], spot[1], CONFIG.UNIT_TYPES[pq.unitType].color);
-        log(`Produced ${pq.unitType} at (${spot[0]},${spot[1]})`, 'economy');
-        state.resources.workers = state.units.filter(u => u.owner === 1 && !CONFIG.UNIT_TYPES[u.type].isBuilding).length;
-        if (pq.unitType === 'worker') state.rewards.workers += 0.1;
-        else state.rewards.combat += 0.1;
-      }
-      state.prodQueue.splice(i, 1);
-      renderProdQueue();
+// Turn simulation events into log lines, particles and HUD refreshes
+function handleGameEvents(events, time) {
+  for (const ev of events) {
+    switch (ev.type) {
+      case 'harvest':
+        emitHarvest(ev.x, ev.y);
+        break;
+      case 'killed':
+        emitExplosion(ev.x, ev.y);
+        break;
+      case 'produced':
+        emitSpawn(ev.x, ev.y, CONFIG.UNIT_TYPES[ev.unitType].color);
+        break;
+      case 'spawned':
+        emitSpawn(ev.x, ev.y, ev.owner === 1 ? '#3b82f6' : '#ef4444');
+        break;
+      case 'produceQueued':
+      case 'queueChanged':
+        renderProdQueue();
+        break;
     }
+    const line = describeEvent(ev);
+    if (line) log(line.msg, line.type, time);
   }
 }
 
-function isWalkable(x, y) {
-  if (x < 0 || x >= CONFIG.GRID_W || y < 0 || y >= CONFIG.GRID_H) return false;
-  if (state.grid[y][x] === 1) return false;
-  return !state.units.some(u => u.gx === x && u.gy === y);
+// Event log line for a simulation event, or null if it isn't logged
+function describeEvent(ev) {
+  switch (ev.type) {
+    case 'returned':
+      return { msg: `Worker returned ${ev.amount} resources`, type: 'economy' };
+    case 'depleted':
+      return { msg: `Resource at (${ev.x},${ev.y}) depleted`, type: 'economy' };
+    case 'killed':
+      return { msg: `${ev.unitType} destroyed enemy ${ev.targetType}!`, type: 'combat' };
+    case 'produced':
+      return { msg: `Produced ${ev.unitType} at (${ev.x},${ev.y})`, type: 'economy' };
+    case 'produceQueued':
+      return ev.owner === 1 ? { msg: `Queued ${ev.unitType} production (cost ${ev.cost})`, type: 'economy' } : null;
+    case 'produceRejected':
+      return ev.owner === 1 ? { msg: ev.reason, type: 'error' } : null;
+  }
+  return null;
 }
 
 // ============================================================
-// REWARDS (MicroRTS-inspired)
+// REWARDS (see REWARDS in sim.js)
 // ============================================================
+const REWARD_IDS = {
+  winLoss: 'rwWinLoss', resources: 'rwResources', workers: 'rwWorkers',
+  buildings: 'rwBuildings', attack: 'rwAttack', combat: 'rwCombat',
+};
+
+function initRewardPanel() {
+  $('#rewardPlayer')?.addEventListener('change', e => {
+    state.rewardPlayer = Number(e.target.value);
+    updateRewards();
+  });
+  $$('.reward-weight[data-reward]').forEach(input => {
+    const key = input.dataset.reward;
+    input.value = CONFIG.REWARD_WEIGHTS[key];
+    input.addEventListener('change', () => {
+      const w = parseFloat(input.value);
+      if (!Number.isFinite(w)) {
+        log('Reward weight must be a number', 'error');
+        input.value = CONFIG.REWARD_WEIGHTS[key];
+        return;
+      }
+      CONFIG.REWARD_WEIGHTS[key] = w;
+      updateRewards();
+    });
+  });
+}
+
+// Per-step and cumulative values of the shown player's reward functions.
+// Bars are each component's weighted share of the largest one.
 function updateRewards() {
-  const r = state.rewards;
+  const owner = state.rewardPlayer;
+  const r = state.game.rewards?.[owner] || emptyRewards();
+  const step = state.game.stepRewards?.[owner] || emptyRewards();
   const w = CONFIG.REWARD_WEIGHTS;
-  const total = r.winLoss * w.winLoss + r.resources * w.resources + r.workers * w.workers +
-                r.buildings * w.buildings + r.attack * w.attack + r.combat * w.combat;
+  const largest = Math.max(...REWARD_KEYS.map(k => Math.abs(r[k] * w[k])));
+  for (const k of REWARD_KEYS) {
+    setBarWidth(REWARD_IDS[k], largest ? Math.abs(r[k] * w[k]) / largest * 100 : 0);
+    setText(`${REWARD_IDS[k]}Step`, formatReward(step[k]));
+    setText(`${REWARD_IDS[k]}Sum`, formatReward(r[k]));
+  }
+  setText('rewardStep', formatReward(weightedReward(step, w)));
+  setText('rewardTotal', formatReward(weightedReward(r, w)));
+}
 
-  setBarWidth('rwWinLoss', Math.min(100, r.winLoss * 100));
-  setBarWidth('rwResources', Math.min(100, r.resources * 50));
-  setBarWidth('rwWorkers', Math.min(100, r.workers * 50));
-  setBarWidth('rwBuildings', Math.min(100, r.buildings * 100));
-  setBarWidth('rwAttack', Math.min(100, r.attack * 20));
-  setBarWidth('rwCombat', Math.min(100, r.combat * 10));
-  setText('rewardTotal', total.toFixed(2));
+function formatReward(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(2);
 }
 
 // ============================================================
 // UI UPDATES
 // ============================================================
 function updateUI() {
-  const p1Units = state.units.filter(u => u.owner === 1);
+  const p1Units = state.game.units.filter(u => u.owner === 1);
   const mobileP1 = p1Units.filter(u => !CONFIG.UNIT_TYPES[u.type].isBuilding);
   state.resources.workers = mobileP1.length;
 
+  setText('resGoldP1', state.game.gold[1] ?? 0);
+  setText('resGoldP2', state.game.gold[2] ?? 0);
   setText('resCompleted', state.resources.tasks);
   setText('resFiles', state.resources.files);
   setText('resWorkers', state.resources.workers);
   setText('resFailed', state.resources.failed);
   setText('resTokens', state.resources.tokens);
-  setText('gameCycle', state.cycle);
+  setText('gameCycle', state.game.cycle);
 
   // Update idle alert
   const idle = mobileP1.filter(u => u.action === 'noop').length;
@@ -830,7 +1080,7 @@ function updateUI() {
   }
 
   // Portrait for first selected unit
-  const selUnit = state.units.find(u => state.selected.includes(u.id));
+  const selUnit = state.game.units.find(u => state.selected.includes(u.id));
   if (selUnit) {
     const def = CONFIG.UNIT_TYPES[selUnit.type];
     setText('portraitName', `Agent-${selUnit.id}`);
@@ -868,9 +1118,7 @@ function updateGameTime() {
 // ============================================================
 // EVENT LOG
 // ============================================================
-function log(msg, type = 'info') {
-  const now = new Date();
-  const time = now.toLocaleTimeString('en', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' });
+function log(msg, type = 'info', time = clockTime()) {
   state.events.push({ time, msg, type });
 
   const feed = $('#logFeed');
@@ -887,6 +1135,10 @@ function log(msg, type = 'info') {
   while (feed.children.length > 200) feed.removeChild(feed.firstChild);
 }
 
+function clockTime() {
+  return new Date().toLocaleTimeString('en', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
 function addOpsEntry(msg) {
   state.opsEvents++;
   const feed = $('#opsFeed');
@@ -898,14 +1150,24 @@ function addOpsEntry(msg) {
   feed.scrollTop = feed.scrollHeight;
   while (feed.children.length > 100) feed.removeChild(feed.firstChild);
   setText('opsEvents', state.opsEvents);
-  setText('opsLatency', Math.floor(10 + Math.random() * 30) + 'ms');
 }
 
+// One group per producer, in queue order; only the first entry of each
+// makes progress
 function renderProdQueue() {
   const qEl = $('#prodQueue');
   if (!qEl) return;
   qEl.innerHTML = '';
-  for (const pq of state.prodQueue) {
+  let producer;
+  for (const pq of [...state.game.prodQueue].sort((a, b) => (a.producer ?? 0) - (b.producer ?? 0))) {
+    if (pq.producer !== producer) {
+      producer = pq.producer;
+      const b = state.game.units.find(u => u.id === producer);
+      const head = document.createElement('div');
+      head.className = 'prod-group';
+      head.textContent = b ? `${b.type} #${b.id} (P${b.owner})${b.rally ? ` → (${b.rally.x},${b.rally.y})` : ''}` : `P${pq.owner}`;
+      qEl.appendChild(head);
+    }
     const pct = Math.floor((pq.progress / pq.total) * 100);
     const item = document.createElement('div');
     item.className = 'prod-item';
@@ -946,7 +1208,11 @@ function bindEvents() {
   $('#modeRTS')?.addEventListener('click', () => setMode('rts'));
   $('#modeOps')?.addEventListener('click', () => setMode('ops'));
   $('#modeTech')?.addEventListener('click', () => setMode('tech'));
+  $('#modeEditor')?.addEventListener('click', () => setMode('editor'));
   $('#toggleFog')?.addEventListener('click', toggleFog);
+  $('#viewSelect')?.addEventListener('change', e => setView(Number(e.target.value)));
+  $('#losToggle')?.addEventListener('change', e => setLineOfSight(e.target.checked));
+  $('#togglePaths')?.addEventListener('click', togglePaths);
   $('#toggleDemo')?.addEventListener('click', toggleDemo);
   $('#toggleLog')?.addEventListener('click', toggleLog);
 
@@ -978,6 +1244,22 @@ function bindEvents() {
     }
   });
 
+  // Map picker and file drop
+  initMapPicker();
+  initBotPicker();
+  initGameOver();
+  initRewardPanel();
+  renderTechCosts();
+
+  // Map editor
+  initEditorPanel();
+  initPlaybackBar();
+  initObsPanel();
+  initBridge();
+  initLeaguePanel();
+  initChartPanel();
+  initAgentHost();
+
   // Tooltip system
   initTooltips();
 }
@@ -993,6 +1275,10 @@ function onCanvasMouseDown(e) {
   if (e.button === 1) {
     // MMB pan
     state.mouse.panStart = { cx: state.camera.x, cy: state.camera.y, mx: e.clientX, my: e.clientY };
+  } else if (state.mode === 'editor') {
+    // LMB paints with the current tool, RMB erases
+    editorBeginStroke(e.button === 2);
+    onCanvasMouseMove(e);
   }
 }
 
@@ -1015,10 +1301,20 @@ function onCanvasMouseMove(e) {
     state.camera.x = state.mouse.panStart.cx + (e.clientX - state.mouse.panStart.mx);
     state.camera.y = state.mouse.panStart.cy + (e.clientY - state.mouse.panStart.my);
   }
+
+  if (state.mode === 'editor' && state.mouse.down && state.mouse.button !== 1) {
+    editorStrokeTo(state.mouse.gridX, state.mouse.gridY);
+  }
 }
 
 function onCanvasMouseUp(e) {
-  if (state.mouse.button === 0) {
+  if (state.mode === 'editor') {
+    editorEndStroke();
+  } else if (state.placing) {
+    // Left click places the building, right click cancels
+    if (state.mouse.button === 0) placeBuilding(state.mouse.gridX, state.mouse.gridY);
+    else if (state.mouse.button === 2) cancelPlacement();
+  } else if (state.mouse.button === 0) {
     // Left click: select
     const cs = CONFIG.CELL_SIZE * state.camera.zoom;
     const rect = canvas.getBoundingClientRect();
@@ -1038,12 +1334,12 @@ function onCanvasMouseUp(e) {
         // Click select
         const gx = Math.floor((state.mouse.x - ox) / cs);
         const gy = Math.floor((state.mouse.y - oy) / cs);
-        const unit = state.units.find(u => u.gx === gx && u.gy === gy && u.owner === 1);
+        const unit = state.game.units.find(u => u.gx === gx && u.gy === gy && u.owner === 1);
         state.selected = unit ? [unit.id] : [];
       } else {
         // Box select
         state.selected = [];
-        for (const u of state.units) {
+        for (const u of state.game.units) {
           if (u.owner !== 1) continue;
           const upx = ox + u.gx * cs + cs / 2;
           const upy = oy + u.gy * cs + cs / 2;
@@ -1059,24 +1355,25 @@ function onCanvasMouseUp(e) {
     const gx = state.mouse.gridX;
     const gy = state.mouse.gridY;
     if (gx >= 0 && gx < CONFIG.GRID_W && gy >= 0 && gy < CONFIG.GRID_H) {
-      const enemy = state.units.find(u => u.gx === gx && u.gy === gy && u.owner !== 1);
-      const resource = state.grid[gy]?.[gx] === 2;
+      const enemy = state.game.units.find(u => u.gx === gx && u.gy === gy && u.owner !== 1);
+      const resource = state.game.grid[gy]?.[gx] === 2;
 
       for (const id of state.selected) {
-        const u = state.units.find(x => x.id === id);
+        const u = state.game.units.find(x => x.id === id);
         if (!u) continue;
-        if (enemy) {
-          u.action = 'attack';
-          u.target = enemy.id;
+        if (CONFIG.UNIT_TYPES[u.type].isBuilding) {
+          // Buildings take it as their rally point; on the building itself, clears it
+          const own = u.gx === gx && u.gy === gy;
+          issueOrder({ unit: u.id, action: 'rally', target: own ? null : { x: gx, y: gy } });
+          log(own ? `${u.type} rally point cleared` : `${u.type} rally point set to (${gx},${gy})`, 'info');
+        } else if (enemy) {
+          issueOrder({ unit: u.id, action: 'attack', target: enemy.id });
           log(`${u.type} attacking enemy ${enemy.type}`, 'combat');
         } else if (resource && u.type === 'worker') {
-          u.action = 'harvest';
-          u.target = { x: gx, y: gy };
-          u.progress = 0;
+          issueOrder({ unit: u.id, action: 'harvest', target: { x: gx, y: gy } });
           log(`Worker harvesting at (${gx},${gy})`, 'economy');
         } else {
-          u.action = 'move';
-          u.target = { x: gx, y: gy };
+          issueOrder({ unit: u.id, action: 'move', target: { x: gx, y: gy } });
         }
       }
     }
@@ -1094,6 +1391,7 @@ function onCanvasWheel(e) {
 }
 
 function onKeyDown(e) {
+  if (e.target.closest?.('input, select, textarea')) return;
   const key = e.key.toLowerCase();
   const keyMap = {
     m: 'move', s: 'stop', h: 'hold', v: 'harvest',
@@ -1102,9 +1400,20 @@ function onKeyDown(e) {
     g: 'toggleGrid', f: 'toggleFog',
   };
 
+  if (state.playback && onPlaybackKey(e)) return;
+
+  if (state.mode === 'editor') {
+    if (e.ctrlKey && key === 'z') { e.preventDefault(); e.shiftKey ? editorRedo() : editorUndo(); return; }
+    if (e.ctrlKey && key === 'y') { e.preventDefault(); editorRedo(); return; }
+  }
+
   if (key === 'g') { state.showGrid = !state.showGrid; return; }
   if (key === 'f') { toggleFog(); return; }
-  if (key === 'escape') { state.selected = []; return; }
+  if (key === 'escape') {
+    if (state.placing) cancelPlacement();
+    else state.selected = [];
+    return;
+  }
 
   // Number group select
   if (e.ctrlKey && key >= '1' && key <= '9') {
@@ -1127,10 +1436,7 @@ function onKeyDown(e) {
 function executeCommand(cmd) {
   switch (cmd) {
     case 'stop':
-      for (const id of state.selected) {
-        const u = state.units.find(x => x.id === id);
-        if (u) { u.action = 'noop'; u.target = null; }
-      }
+      for (const id of state.selected) issueOrder({ unit: id, action: 'noop' });
       log('Stop command issued', 'info');
       break;
     case 'hold':
@@ -1144,20 +1450,19 @@ function executeCommand(cmd) {
       break;
     case 'harvest':
       for (const id of state.selected) {
-        const u = state.units.find(x => x.id === id);
+        const u = state.game.units.find(x => x.id === id);
         if (u && u.type === 'worker') {
           // Find nearest resource
           let nearest = null, minD = Infinity;
           for (let y = 0; y < CONFIG.GRID_H; y++) {
             for (let x = 0; x < CONFIG.GRID_W; x++) {
-              if (state.grid[y][x] !== 2) continue;
+              if (state.game.grid[y][x] !== 2) continue;
               const d = Math.abs(x - u.gx) + Math.abs(y - u.gy);
               if (d < minD) { minD = d; nearest = { x, y }; }
             }
           }
           if (nearest) {
-            u.action = 'move';
-            u.target = nearest;
+            issueOrder({ unit: u.id, action: 'harvest', target: nearest });
             log(`Worker sent to harvest at (${nearest.x},${nearest.y})`, 'economy');
           }
         }
@@ -1165,7 +1470,7 @@ function executeCommand(cmd) {
       break;
     case 'inspect':
       if (state.selected.length > 0) {
-        const u = state.units.find(x => x.id === state.selected[0]);
+        const u = state.game.units.find(x => x.id === state.selected[0]);
         if (u) log(`Inspecting Agent-${u.id}: ${u.type} HP:${Math.ceil(u.hp)}/${u.maxHp} Action:${u.action}`, 'info');
       }
       break;
@@ -1187,35 +1492,398 @@ function executeCommand(cmd) {
   }
 }
 
+// Gold and producer checks happen in the sim; the outcome comes back as an
+// event. Units join the queue of a selected building that makes them, or
+// else the shortest queue; buildings are built by a selected worker on a
+// cell picked on the map.
 function produceUnit(type) {
-  const def = CONFIG.UNIT_TYPES[type];
-  if (state.resources.gold < def.cost) {
-    log(`Not enough gold for ${type} (need ${def.cost})`, 'error');
+  if (CONFIG.UNIT_TYPES[type].isBuilding) {
+    startPlacement(type);
+    return;
+  }
+  const producer = state.game.units.find(u => state.selected.includes(u.id) &&
+    CONFIG.UNIT_TYPES[u.type].isBuilding && CONFIG.UNIT_TYPES[u.type].produces.includes(type));
+  issueOrder(producer ? { unit: producer.id, action: 'produce', unitType: type } : { action: 'produce', unitType: type });
+}
+
+// ============================================================
+// BUILD PLACEMENT
+// ============================================================
+function startPlacement(type) {
+  if (state.playback || state.bridge?.live) return;
+  const builder = state.selected
+    .map(id => state.game.units.find(u => u.id === id))
+    .find(u => u && CONFIG.UNIT_TYPES[u.type].produces.includes(type));
+  if (!builder) {
+    log(`Select a worker to build a ${type}`, 'error');
+    return;
+  }
+  state.placing = { unitType: type, unit: builder.id };
+  log(`Place the ${type}: click a free cell, right-click or Esc to cancel`, 'info');
+}
+
+// Why cell (x, y) can't take the building being placed, or null if it can.
+// The sim checks again once the worker gets there.
+function placementProblem(x, y) {
+  const { unitType, unit } = state.placing;
+  const cost = CONFIG.UNIT_TYPES[unitType].cost;
+  if (!state.game.units.some(u => u.id === unit)) return 'The builder is gone';
+  if (!isWalkable(state.game, x, y)) return `Cell (${x},${y}) is not free`;
+  if ((state.game.gold[1] ?? 0) < cost) return `Not enough gold for ${unitType} (need ${cost})`;
+  return null;
+}
+
+function placeBuilding(x, y) {
+  const problem = placementProblem(x, y);
+  if (problem) {
+    log(problem, 'error');
     return;
   }
-  const producer = state.units.find(u => u.owner === 1 && u.type === 'base');
-  if (!producer) { log('No base to produce from', 'error'); return; }
+  const { unitType, unit } = state.placing;
+  state.placing = null;
+  issueOrder({ unit, action: 'build', unitType, target: { x, y } });
+  log(`Worker building ${unitType} at (${x},${y})`, 'economy');
+}
+
+function cancelPlacement() {
+  state.placing = null;
+  log('Placement cancelled', 'info');
+}
+
+// ============================================================
+// GAME OVER
+// ============================================================
+function initGameOver() {
+  const limit = $('#maxCycles');
+  if (limit) {
+    limit.value = CONFIG.MAX_CYCLES;
+    limit.addEventListener('change', () => {
+      const n = parseInt(limit.value, 10);
+      if (!(n > 0)) {
+        log('Cycle limit must be a positive integer', 'error');
+        limit.value = CONFIG.MAX_CYCLES;
+        return;
+      }
+      CONFIG.MAX_CYCLES = n;
+      state.sim.post({ type: 'limit', maxCycles: n });
+      // A game drawn at the old limit goes on under a higher one, and one
+      // already past a lower limit ends now
+      const result = gameResult(state.game, n);
+      if (state.gameOver && result === null) closeGameOver();
+      syncSim();
+      if (!state.gameOver && result !== null && state.replay) endGame(result);
+    });
+  }
+  $('#autoReset')?.addEventListener('change', e => { state.autoReset = e.target.value; });
+  $('#gameOverSame')?.addEventListener('click', () => nextGame('same'));
+  $('#gameOverNext')?.addEventListener('click', () => nextGame('next'));
+  $('#gameOverClose')?.addEventListener('click', closeGameOver);
+}
+
+function endGame(result) {
+  const gs = state.game;
+  const how = result ? `Player ${result} wins` :
+    gameWinner(gs) === 0 ? 'Draw: both sides eliminated' : `Draw: cycle limit ${CONFIG.MAX_CYCLES} reached`;
+  log(`Game over at cycle ${gs.cycle}: ${how}`, 'info');
+  addOpsEntry(`Game over: ${how}`);
+  setText('gameOverResult', `${how} after ${gs.cycle} cycles`);
+  renderGameOverStats(gs);
+  state.gameOver = { result, timer: null };
+  if (state.autoReset) {
+    const mode = state.autoReset;
+    state.gameOver.timer = setTimeout(() => nextGame(mode), CONFIG.GAME_OVER_RESET_MS);
+    setText('gameOverCountdown', `Next game in ${CONFIG.GAME_OVER_RESET_MS / 1000}s`);
+  } else {
+    setText('gameOverCountdown', '');
+  }
+  const panel = $('#gameOverPanel');
+  if (panel) panel.hidden = false;
+}
+
+function renderGameOverStats(gs) {
+  const body = $('#gameOverStats tbody');
+  if (!body) return;
+  const count = (owner, test) => gs.units.filter(u => u.owner === owner && test(CONFIG.UNIT_TYPES[u.type], u)).length;
+  const rows = [
+    ['Units', owner => count(owner, () => true)],
+    ['Workers', owner => count(owner, (def, u) => u.type === 'worker')],
+    ['Army', owner => count(owner, (def, u) => !def.isBuilding && u.type !== 'worker')],
+    ['Buildings', owner => count(owner, def => def.isBuilding)],
+    ['Gold', owner => gs.gold[owner] ?? 0],
+  ];
+  body.innerHTML = '';
+  for (const [label, value] of rows) {
+    const tr = document.createElement('tr');
+    for (const text of [label, value(1), value(2)]) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+}
+
+function closeGameOver() {
+  clearTimeout(state.gameOver?.timer);
+  state.gameOver = null;
+  const panel = $('#gameOverPanel');
+  if (panel) panel.hidden = true;
+}
+
+// Start the next game: the same map with the next seed, or the next catalog map
+function nextGame(how) {
+  if (how === 'next') {
+    const i = MAP_CATALOG.findIndex(entry => entry.name === state.map?.name);
+    const next = (i + 1) % MAP_CATALOG.length;
+    const select = $('#mapSelect');
+    if (select) select.value = next;
+    loadCatalogMap(MAP_CATALOG[next]);
+  } else {
+    restartGame((state.game.seed + 1) >>> 0);
+  }
+}
+
+// ============================================================
+// PLAYER SLOTS
+// ============================================================
+function initBotPicker() {
+  for (const owner of [1, 2]) {
+    const select = $(`#botP${owner}`);
+    if (!select) continue;
+    for (const [id, name] of [['', 'Human'], ...BOTS.map(b => [b.id, b.name])]) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      select.appendChild(opt);
+    }
+    select.value = state.bots[owner] || '';
+    select.addEventListener('change', () => {
+      state.bots[owner] = select.value || null;
+      state.sim.post({ type: 'bots', bots: state.bots });
+      const bot = findAgent(state.bots[owner]);
+      log(`Player ${owner}: ${bot ? bot.name : 'human'}`, 'info');
+    });
+  }
+}
+
+// ============================================================
+// MAP PICKER
+// ============================================================
+function initMapPicker() {
+  const select = $('#mapSelect');
+  if (select) {
+    MAP_CATALOG.forEach((entry, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = entry.name;
+      select.appendChild(opt);
+    });
+    select.addEventListener('change', () => loadCatalogMap(MAP_CATALOG[select.value]));
+  }
 
-  state.resources.gold -= def.cost;
-  state.prodQueue.push({
-    unitType: type,
-    gx: producer.gx,
-    gy: producer.gy,
-    progress: 0,
-    total: def.buildTime,
+  $('#exportMap')?.addEventListener('click', exportMap);
+  $('#saveGame')?.addEventListener('click', saveGame);
+  $('#saveReplay')?.addEventListener('click', saveReplay);
+
+  const uttSelect = $('#uttSelect');
+  if (uttSelect) {
+    UTT_VARIANTS.forEach(appendUTTOption);
+    uttSelect.value = CONFIG.UTT.name;
+    uttSelect.addEventListener('change', () => {
+      const variant = UTT_VARIANTS.find(v => v.id === uttSelect.value);
+      if (variant) useUTT(variant.utt, variant.id);
+    });
+  }
+  $('#seedInput')?.addEventListener('change', e => restartGame(parseInt(e.target.value, 10)));
+
+  const fileInput = $('#mapFile');
+  $('#openMap')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', () => {
+    if (fileInput.files[0]) loadMapFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  const wrap = $('#mapWrap');
+  wrap.addEventListener('dragover', e => {
+    e.preventDefault();
+    wrap.classList.add('drop-target');
+  });
+  wrap.addEventListener('dragleave', () => wrap.classList.remove('drop-target'));
+  wrap.addEventListener('drop', e => {
+    e.preventDefault();
+    wrap.classList.remove('drop-target');
+    const file = e.dataTransfer.files[0];
+    if (file) loadMapFile(file);
+  });
+}
+
+async function catalogMapXML(entry) {
+  if (entry.xml) return entry.xml;
+  const res = await fetch(entry.path);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${entry.path}`);
+  return res.text();
+}
+
+async function loadCatalogMap(entry) {
+  try {
+    loadMapText(await catalogMapXML(entry), entry.name);
+  } catch (err) {
+    log(`Failed to load map ${entry.name}: ${err.message}`, 'error');
+  }
+}
+
+async function loadMapFile(file) {
+  try {
+    if (/\.m?js$/i.test(file.name)) { await loadAgentFile(file); return; }
+    const text = await file.text();
+    if (/\.json$/i.test(file.name)) loadJSONText(text, file.name);
+    else if (/<rts\.Trace\b/.test(text)) openPlayback(traceToReplay(text, file.name), file.name);
+    else loadMapText(text, file.name.replace(/\.xml$/i, ''));
+  } catch (err) {
+    log(`Failed to load map ${file.name}: ${err.message}`, 'error');
+  }
+}
+
+function exportMap() {
+  const map = snapshotMap();
+  const filename = `${map.name.replace(/[^\w.-]+/g, '_')}.xml`;
+  downloadText(filename, serializeMapXML(map), 'application/xml');
+  log(`Exported ${filename} (${map.width}x${map.height}, cycle ${state.game.cycle})`, 'info');
+}
+
+function loadMapText(xml, name) {
+  const map = parseMapXML(xml, name);
+  applyMap(map);
+  const resources = map.units.filter(u => u.type === 'resource').length;
+  log(`Loaded map ${name}: ${map.width}x${map.height}, ${map.units.length - resources} units, ${resources} resource patches`, 'info');
+}
+
+// ============================================================
+// SEED, SAVED GAMES & REPLAYS
+// ============================================================
+const SAVE_FORMAT = 'blazecraft-save';
+
+// Restart the current map; a seed plus the same orders gives the same game
+function restartGame(seed) {
+  if (!Number.isFinite(seed) || seed < 0) {
+    log('Seed must be a non-negative integer', 'error');
+    return;
+  }
+  applyMap(state.map, seed >>> 0);
+  log(`Restarted ${state.map.name} with seed ${state.game.seed}`, 'info');
+}
+
+function saveGame() {
+  const save = {
+    format: SAVE_FORMAT,
+    version: 1,
+    map: state.map,
+    state: state.game,
+    utt: CONFIG.UTT,
+    demoRng: state.demoRandom.rng,
+  };
+  const filename = `${state.map.name.replace(/[^\w.-]+/g, '_')}-cycle${state.game.cycle}.json`;
+  downloadText(filename, JSON.stringify(save), 'application/json');
+  log(`Saved ${filename} (seed ${state.game.seed})`, 'info');
+}
+
+// Saved games and replays are both JSON; the format field tells them apart
+function saveReplay() {
+  const replay = state.playback ? state.playback.replay : state.replay;
+  if (!replay) {
+    log('Nothing is recorded while spectating a bridged game', 'error');
+    return;
+  }
+  const filename = `${replay.map.name.replace(/[^\w.-]+/g, '_')}-replay-${replay.seed}.json`;
+  downloadText(filename, JSON.stringify(replay), 'application/json');
+  log(`Saved ${filename} (${replay.endCycle - replay.initial.cycle} cycles, ${replay.steps.length} order steps)`, 'info');
+}
+
+function loadJSONText(text, name) {
+  const data = JSON.parse(text);
+  if (data.format === REPLAY_FORMAT) openPlayback(data, name);
+  else if (Array.isArray(data.entries)) openPlayback(traceToReplay(data, name), name);
+  else if (Array.isArray(data.unitTypes)) useUTT(data, name.replace(/\.json$/i, ''));
+  else loadSave(data, name);
+}
+
+function loadSave(save, name) {
+  if (save.format !== SAVE_FORMAT || !save.state || !save.map) {
+    throw new Error('not a BlazeCraft saved game');
+  }
+  if (save.utt) setActiveUTT(save.utt.utt, save.utt.name);
+  const g = createGame();
+  g.state = save.state;
+  state.map = save.map;
+  useGame(g);
+  if (save.demoRng !== undefined) state.demoRandom.rng = save.demoRng >>> 0;
+  log(`Loaded ${name}: ${save.map.name} at cycle ${g.state.cycle}, seed ${g.state.seed}`, 'info');
+}
+
+// ============================================================
+// UNIT TYPE TABLE
+// ============================================================
+// Switch the active UTT and restart the current map on the same seed
+function useUTT(utt, name) {
+  try {
+    setActiveUTT(utt, name);
+  } catch (err) {
+    log(`Failed to load UTT ${name}: ${err.message}`, 'error');
+    return;
+  }
+  applyMap(state.map, state.game.seed);
+  log(`Unit type table ${name} active; restarted ${state.map.name}`, 'info');
+}
+
+// applyUTT plus the parts of the page that show unit stats
+function setActiveUTT(utt, name) {
+  const active = applyUTT(utt, name);
+  // Loaded tables join the picker so they can be switched back to
+  if (!UTT_VARIANTS.some(v => v.id === name)) {
+    UTT_VARIANTS.push({ id: name, name, utt: active.utt });
+    appendUTTOption(UTT_VARIANTS[UTT_VARIANTS.length - 1]);
+  }
+  const select = $('#uttSelect');
+  if (select) select.value = name;
+  renderTechCosts();
+  renderObsPlaneOptions();
+}
+
+function appendUTTOption(variant) {
+  const select = $('#uttSelect');
+  if (!select) return;
+  const opt = document.createElement('option');
+  opt.value = variant.id;
+  opt.textContent = `UTT ${variant.name}`;
+  select.appendChild(opt);
+}
+
+function renderTechCosts() {
+  $$('[data-unit]').forEach(btn => {
+    const cost = btn.querySelector('.tech-cost');
+    const def = CONFIG.UNIT_TYPES[btn.dataset.unit];
+    if (cost && def) cost.textContent = def.cost;
   });
-  log(`Queued ${type} production (${def.cost}g)`, 'economy');
-  renderProdQueue();
 }
 
 // ============================================================
 // MODE SWITCHING
 // ============================================================
 function setMode(mode) {
+  if (state.mode === mode) return;
+  if (state.mode === 'editor') exitEditor();
+  if (mode === 'editor' && state.playback) closePlayback();
+  if (mode === 'editor' && state.bridge) stopBridge();
+  state.mode = mode;
+  state.placing = null;
   $$('.mode-btn').forEach(b => b.classList.remove('active'));
   $(`#mode${mode.charAt(0).toUpperCase() + mode.slice(1)}`)?.classList.add('active');
   const techPanel = $('#techPanel');
   if (techPanel) techPanel.style.display = mode === 'tech' || mode === 'rts' ? '' : 'none';
+  const editorPanel = $('#editorPanel');
+  if (editorPanel) editorPanel.hidden = mode !== 'editor';
+  if (mode === 'editor') enterEditor();
+  syncSim();
 }
 
 function toggleFog() {
@@ -1224,11 +1892,19 @@ function toggleFog() {
   log(`Fog of war: ${state.fogEnabled ? 'ON' : 'OFF'}`, 'info');
 }
 
+function togglePaths() {
+  state.showPaths = !state.showPaths;
+  const btn = $('#togglePaths');
+  if (btn) {
+    btn.classList.toggle('active', state.showPaths);
+    btn.setAttribute('aria-pressed', state.showPaths);
+  }
+}
+
 function toggleDemo() {
   state.demoMode = !state.demoMode;
   const btn = $('#toggleDemo');
   if (btn) btn.classList.toggle('active', state.demoMode);
-  if (state.demoMode) startDemo();
 }
 
 function toggleLog() {
@@ -1253,83 +1929,64 @@ function rerenderLog() {
 // ============================================================
 // DEMO MODE
 // ============================================================
-function startDemo() {
-  const demoInterval = setInterval(() => {
-    if (!state.demoMode) { clearInterval(demoInterval); return; }
-
-    // Simulate activity
-    state.resources.tasks += Math.random() > 0.7 ? 1 : 0;
-    state.resources.files += Math.random() > 0.8 ? 1 : 0;
-    state.resources.tokens += Math.floor(Math.random() * 50);
-
-    // Auto-produce units occasionally
-    if (Math.random() > 0.9 && state.resources.gold >= 50) {
-      const types = ['worker', 'light', 'heavy', 'ranged'];
-      const type = types[Math.floor(Math.random() * types.length)];
-      if (state.resources.gold >= CONFIG.UNIT_TYPES[type].cost) {
-        produceUnit(type);
-      }
+const DEMO_INTERVAL_CYCLES = 30;  // 1500 ms at TICK_MS
+const DEMO_SEED_SALT = 0x5eed;
+
+// Scripted activity for both sides, issued as orders for the next sim step. Choices
+// draw from state.demoRandom so a seed replays the same demo game. The demo
+// gets no free gold: production is paid from what its workers harvest.
+function runDemo(orders) {
+  const gs = state.game;
+  const rnd = state.demoRandom;
+
+  // Simulate activity (cosmetic counters)
+  state.resources.tasks += Math.random() > 0.7 ? 1 : 0;
+  state.resources.files += Math.random() > 0.8 ? 1 : 0;
+  state.resources.tokens += Math.floor(Math.random() * 50);
+
+  // Auto-produce units occasionally
+  if (nextRandom(rnd) > 0.9) {
+    const types = ['worker', 'light', 'heavy', 'ranged'];
+    const type = types[randomInt(rnd, types.length)];
+    if (gs.gold[1] >= CONFIG.UNIT_TYPES[type].cost) {
+      orders[1].push({ action: 'produce', unitType: type });
     }
+  }
 
-    // Enemy produces too
-    if (Math.random() > 0.85) {
-      const eBase = state.units.find(u => u.owner === 2 && u.type === 'base');
-      if (eBase) {
-        const types = ['worker', 'light', 'heavy'];
-        const type = types[Math.floor(Math.random() * types.length)];
-        const spots = [
-          [eBase.gx + 1, eBase.gy], [eBase.gx - 1, eBase.gy],
-          [eBase.gx, eBase.gy + 1], [eBase.gx, eBase.gy - 1],
-        ];
-        const spot = spots.find(([x, y]) => isWalkable(x, y));
-        if (spot) {
-          spawnUnit(type, spot[0], spot[1], 2);
-          emitSpawn(spot[0], spot[1], '#ef4444');
-        }
-      }
+  // Enemy produces too, paying and waiting like player 1
+  if (nextRandom(rnd) > 0.85) {
+    const types = ['worker', 'light', 'heavy'];
+    const type = types[randomInt(rnd, types.length)];
+    if (gs.gold[2] >= CONFIG.UNIT_TYPES[type].cost) {
+      orders[2].push({ action: 'produce', unitType: type });
     }
+  }
 
-    // Occasionally auto-select and move player units
-    const p1Mobile = state.units.filter(u => u.owner === 1 && !CONFIG.UNIT_TYPES[u.type].isBuilding && u.action === 'noop');
-    if (p1Mobile.length > 0 && Math.random() > 0.5) {
-      const u = p1Mobile[Math.floor(Math.random() * p1Mobile.length)];
-      // Send to harvest or attack
-      if (u.type === 'worker' && Math.random() > 0.3) {
-        for (let y = 0; y < CONFIG.GRID_H; y++) {
-          for (let x = 0; x < CONFIG.GRID_W; x++) {
-            if (state.grid[y][x] === 2) {
-              u.action = 'move';
-              u.target = { x, y };
-              log(`Demo: Worker sent to harvest`, 'economy');
-              break;
-            }
-          }
-          if (u.action !== 'noop') break;
-        }
-      } else {
-        const enemy = state.units.find(e => e.owner === 2 && !CONFIG.UNIT_TYPES[e.type].isBuilding);
-        if (enemy) {
-          u.action = 'attack';
-          u.target = enemy.id;
-          log(`Demo: ${u.type} attacking enemy`, 'combat');
-        }
+  // Occasionally auto-select and move player units. Like a bot, the driver
+  // picks targets from what player 1 can see.
+  const view = CONFIG.PARTIAL_OBS ? playerView(gs, 1) : gs;
+  const p1Mobile = view.units.filter(u => u.owner === 1 && !CONFIG.UNIT_TYPES[u.type].isBuilding && u.action === 'noop');
+  if (p1Mobile.length > 0 && nextRandom(rnd) > 0.5) {
+    const u = p1Mobile[randomInt(rnd, p1Mobile.length)];
+    // Send to harvest or attack, scouting while no enemy is in sight
+    if (u.type === 'worker' && nextRandom(rnd) > 0.3) {
+      const target = closestResource(view, u);
+      if (target) {
+        orders[1].push({ unit: u.id, action: 'harvest', target });
+        log(`Demo: Worker sent to harvest`, 'economy');
       }
-    }
-
-    // Workers at resources auto-harvest
-    for (const u of state.units) {
-      if (u.owner === 1 && u.type === 'worker' && u.action === 'move' && u.target) {
-        if (u.gx === u.target.x && u.gy === u.target.y && state.grid[u.gy]?.[u.gx] === 2) {
-          u.action = 'harvest';
-          u.progress = 0;
-        }
+    } else {
+      const enemy = view.units.find(e => e.owner === 2 && !CONFIG.UNIT_TYPES[e.type].isBuilding);
+      const scout = enemy ? null : scoutTarget(view, u, rnd);
+      if (enemy) {
+        orders[1].push({ unit: u.id, action: 'attack', target: enemy.id });
+        log(`Demo: ${u.type} attacking enemy`, 'combat');
+      } else if (scout) {
+        orders[1].push({ unit: u.id, action: 'move', target: scout });
+        log(`Demo: ${u.type} scouting`, 'info');
       }
     }
-
-    // Add gold passively in demo
-    state.resources.gold += 5;
-
-  }, 1500);
+  }
 }
 
 // ============================================================
@@ -1426,7 +2083,10 @@ function initTooltips() {
       if (!def) return;
       tooltip.querySelector('.tooltip-title').textContent = type.charAt(0).toUpperCase() + type.slice(1);
       tooltip.querySelector('.tooltip-desc').textContent = btn.title;
-      tooltip.querySelector('.tooltip-stats').textContent = `HP:${def.hp} ATK:${def.attack} SPD:${def.speed} RNG:${def.range} Cost:${def.cost}g`;
+      const dmg = def.minDamage === def.maxDamage ? def.minDamage : `${def.minDamage}-${def.maxDamage}`;
+      tooltip.querySelector('.tooltip-stats').textContent = def.isBuilding
+        ? `HP:${def.hp} Build:${def.produceTime} Sight:${def.sight} Cost:${def.cost}`
+        : `HP:${def.hp} DMG:${dmg} RNG:${def.range} Move:${def.moveTime} Sight:${def.sight} Cost:${def.cost}`;
       tooltip.classList.add('visible');
       const rect = btn.getBoundingClientRect();
       tooltip.style.left = (rect.right + 8) + 'px';
@@ -1447,6 +2107,17 @@ function setBarWidth(id, pct) {
   const el = document.getElementById(id);
   if (el) el.style.width = Math.max(0, Math.min(100, pct)) + '%';
 }
+function downloadText(filename, text, type = 'text/plain') {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 // ============================================================
 // WISP PARTICLES (ambient)
@@ -0,0 +1,195 @@
+/**
+ * BlazeCraft Enhanced Gridnet Actions
+ * Translate the per-cell action tensor a gym-microrts gridnet policy emits
+ * (H x W x 7, one vector per map cell) into simulation orders. DOM-free.
+ *
+ *   const { orders, rejected } = gridnetToOrders(game.state, 1, actions);
+ *   game.step({ 1: orders, 2: [] });
+ *
+ * Each cell's vector is [type, moveDir, harvestDir, returnDir, produceDir,
+ * produceType, attackPos]:
+ *   type        0 noop, 1 move, 2 harvest, 3 return, 4 produce, 5 attack
+ *   *Dir        0 up, 1 right, 2 down, 3 left (see PATH_DIRS)
+ *   produceType unit type ID in the active UTT
+ *   attackPos   cell in the 7x7 square around the unit, row-major from the top left
+ *
+ * Like MicroRTS, an action is dropped when the cell holds no unit of the
+ * player, the unit is mid-action, or the action is not possible right now;
+ * when two actions claim the same cell or the same gold, the first one (in
+ * row-major cell order) wins. Dropped actions are listed in `rejected`.
+ *
+ * actionMasks() gives the legal components per cell, laid out like
+ * get_action_mask() in the vec env: 78 flags per cell (6 action types, 4 per
+ * direction component, 7 produce types, 49 attack positions).
+ */
+
+// ============================================================
+// ACTION TENSOR LAYOUT
+// ============================================================
+const GRIDNET_ACTION_SIZE = 7;
+const GRIDNET_ACTION_TYPES = ['noop', 'move', 'harvest', 'return', 'produce', 'attack'];
+const GRIDNET_ATTACK_SIZE = 7;  // attackPos side; covers attack ranges up to 3
+const GRIDNET_UNIT_TYPES = 7;   // produceType values, one per UTT unit type
+// Offsets of each component's flags within a cell's mask
+const GRIDNET_MASK_OFFSETS = {
+  type: 0, move: 6, harvest: 10, return: 14, produceDir: 18, produceType: 22, attack: 22 + GRIDNET_UNIT_TYPES,
+};
+const GRIDNET_MASK_SIZE = GRIDNET_MASK_OFFSETS.attack + GRIDNET_ATTACK_SIZE * GRIDNET_ATTACK_SIZE;
+
+// Action vector of cell (x, y), from a nested [y][x][7] array or a flat
+// array of length H * W * 7
+function gridnetCell(actions, w, x, y) {
+  if (Array.isArray(actions[0])) return actions[y]?.[x];
+  const i = (y * w + x) * GRIDNET_ACTION_SIZE;
+  return Array.prototype.slice.call(actions, i, i + GRIDNET_ACTION_SIZE);
+}
+
+// ============================================================
+// TRANSLATION
+// ============================================================
+function gridnetToOrders(gs, owner, actions) {
+  const w = gs.width;
+  const h = gs.height;
+  const size = actions && actions.length;
+  if (!size || (!Array.isArray(actions[0]) && size !== w * h * GRIDNET_ACTION_SIZE) ||
+      (Array.isArray(actions[0]) && size !== h)) {
+    throw new Error(`expected a ${h}x${w}x${GRIDNET_ACTION_SIZE} action array`);
+  }
+
+  const orders = [];
+  const rejected = [];
+  const claimed = new Set();   // cells entered or produced into this step
+  let spent = 0;               // gold committed by earlier produce actions
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const a = gridnetCell(actions, w, x, y);
+      const type = a ? a[0] | 0 : 0;
+      if (!type) continue;
+      const u = gs.units.find(t => t.gx === x && t.gy === y && t.owner === owner);
+      if (!u) continue;
+      const reject = reason => rejected.push({ x, y, unit: u.id, action: GRIDNET_ACTION_TYPES[type] ?? type, reason });
+      if (u.busy > 0 || isProducing(gs, u)) { reject('unit is busy'); continue; }
+
+      const def = CONFIG.UNIT_TYPES[u.type];
+      const toward = dir => {
+        const d = PATH_DIRS[dir | 0];
+        return d ? { x: x + d[0], y: y + d[1] } : null;
+      };
+      const free = c => c && isWalkable(gs, c.x, c.y) && !claimed.has(`${c.x},${c.y}`);
+
+      switch (type) {
+        case 1: {
+          const c = toward(a[1]);
+          if (!def.canMove) { reject(`${u.type} cannot move`); break; }
+          if (!free(c)) { reject('cell is not free'); break; }
+          claimed.add(`${c.x},${c.y}`);
+          orders.push({ unit: u.id, action: 'move', target: c, once: true });
+          break;
+        }
+        case 2: {
+          const c = toward(a[2]);
+          if (!def.canHarvest) { reject(`${u.type} cannot harvest`); break; }
+          if (u.carrying > 0) { reject('already carrying'); break; }
+          if (!c || gs.grid[c.y]?.[c.x] !== 2) { reject('no resource there'); break; }
+          orders.push({ unit: u.id, action: 'harvest', target: c, once: true });
+          break;
+        }
+        case 3: {
+          const c = toward(a[3]);
+          const base = c && gs.units.find(b => b.gx === c.x && b.gy === c.y && b.owner === owner &&
+            CONFIG.UNIT_TYPES[b.type].isStockpile);
+          if (!u.carrying) { reject('not carrying'); break; }
+          if (!base) { reject('no stockpile there'); break; }
+          orders.push({ unit: u.id, action: 'return', target: c, once: true });
+          break;
+        }
+        case 4: {
+          const c = toward(a[4]);
+          const ut = CONFIG.UTT.utt.unitTypes.find(t => t.ID === (a[5] | 0));
+          const unitType = ut && MICRORTS_UNIT_TYPES[ut.name];
+          if (!unitType || !def.produces.includes(unitType)) { reject(`${u.type} cannot produce type ${a[5]}`); break; }
+          if (!free(c)) { reject('cell is not free'); break; }
+          const cost = CONFIG.UNIT_TYPES[unitType].cost;
+          if ((gs.gold[owner] ?? 0) - spent < cost) { reject(`not enough gold for ${unitType}`); break; }
+          spent += cost;
+          claimed.add(`${c.x},${c.y}`);
+          orders.push({ unit: u.id, action: 'produce', unitType, target: c });
+          break;
+        }
+        case 5: {
+          const pos = a[6] | 0;
+          const half = GRIDNET_ATTACK_SIZE >> 1;
+          const tx = x + (pos % GRIDNET_ATTACK_SIZE) - half;
+          const ty = y + Math.floor(pos / GRIDNET_ATTACK_SIZE) - half;
+          const target = gs.units.find(t => t.gx === tx && t.gy === ty && t.owner !== owner && t.hp > 0);
+          if (!def.canAttack) { reject(`${u.type} cannot attack`); break; }
+          if (!target) { reject('no enemy there'); break; }
+          if (!inAttackRange(u, target, def.range)) { reject('target out of range'); break; }
+          orders.push({ unit: u.id, action: 'attack', target: target.id, once: true });
+          break;
+        }
+        default:
+          reject(`unknown action type ${type}`);
+      }
+    }
+  }
+  return { orders, rejected };
+}
+
+// ============================================================
+// ACTION MASKS
+// ============================================================
+// Legal components for unit `u` as MicroRTS lists them (Unit.getUnitActions):
+// null when the unit is mid-action. Like MicroRTS, the produce direction and
+// type flags are each the union over all legal produce actions.
+function unitActionMask(gs, u) {
+  if (u.busy > 0 || isProducing(gs, u)) return null;
+  const def = CONFIG.UNIT_TYPES[u.type];
+  const M = GRIDNET_MASK_OFFSETS;
+  const mask = new Uint8Array(GRIDNET_MASK_SIZE);
+  mask[M.type] = 1;
+  PATH_DIRS.forEach(([dx, dy], dir) => {
+    const x = u.gx + dx;
+    const y = u.gy + dy;
+    if (def.canMove && isWalkable(gs, x, y)) mask[M.type + 1] = mask[M.move + dir] = 1;
+    if (def.canHarvest && !u.carrying && gs.grid[y]?.[x] === 2) mask[M.type + 2] = mask[M.harvest + dir] = 1;
+    if (def.canHarvest && u.carrying && gs.units.some(b => b.gx === x && b.gy === y && b.owner === u.owner &&
+        CONFIG.UNIT_TYPES[b.type].isStockpile)) {
+      mask[M.type + 3] = mask[M.return + dir] = 1;
+    }
+    if (!isWalkable(gs, x, y)) return;
+    for (const t of CONFIG.UTT.utt.unitTypes) {
+      const type = MICRORTS_UNIT_TYPES[t.name];
+      if (!def.produces.includes(type) || (gs.gold[u.owner] ?? 0) < CONFIG.UNIT_TYPES[type].cost) continue;
+      mask[M.type + 4] = mask[M.produceDir + dir] = mask[M.produceType + t.ID] = 1;
+    }
+  });
+  if (def.canAttack) {
+    const half = GRIDNET_ATTACK_SIZE >> 1;
+    for (const t of gs.units) {
+      const rx = t.gx - u.gx + half;
+      const ry = t.gy - u.gy + half;
+      if (t.owner === u.owner || t.hp <= 0 || !inAttackRange(u, t, def.range)) continue;
+      if (rx < 0 || rx >= GRIDNET_ATTACK_SIZE || ry < 0 || ry >= GRIDNET_ATTACK_SIZE) continue;
+      mask[M.type + 5] = mask[M.attack + ry * GRIDNET_ATTACK_SIZE + rx] = 1;
+    }
+  }
+  return mask;
+}
+
+// Masks for every cell for `owner`: `data` holds GRIDNET_MASK_SIZE flags per
+// cell in row-major order, `units` flags the cells with a unit that can act
+function actionMasks(gs, owner) {
+  const w = gs.width;
+  const data = new Uint8Array(w * gs.height * GRIDNET_MASK_SIZE);
+  const units = new Uint8Array(w * gs.height);
+  for (const u of gs.units) {
+    if (u.owner !== owner) continue;
+    const mask = unitActionMask(gs, u);
+    if (!mask) continue;
+    const i = u.gy * w + u.gx;
+    units[i] = 1;
+    data.set(mask, i * GRIDNET_MASK_SIZE);
+  }
+  return { shape: [gs.height, w, GRIDNET_MASK_SIZE], data, units };
+}
@@ -0,0 +1,31 @@
+/**
+ * BlazeCraft Enhanced Headless Entry
+ * Loads the DOM-free browser scripts into one Node VM context, the same way
+ * the page and workers share their globals, and exports the simulation API:
+ *
+ *   const { createGame, parseMapXML, DEFAULT_MAP_XML, findBot, playBot } = require('./headless.js');
+ *   const game = createGame(parseMapXML(DEFAULT_MAP_XML), 42);
+ *   for (let i = 0; i < 1000; i++) game.step({ 2: playBot(findBot('simpleAI'), game.state, 2) });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Order matters: later scripts use globals declared by earlier ones
+const SCRIPTS = ['config.js', 'maps.js', 'utt.js', 'pathfinding.js', 'sim.js', 'gridnet.js', 'bots.js', 'agents.js', 'observation.js', 'replay.js', 'trace.js', 'tournament.js'];
+
+const EXPORTS = [
+  'CONFIG', 'MICRORTS_UNIT_TYPES', 'MAP_CATALOG', 'DEFAULT_MAP_XML', 'parseMapXML', 'parsePGSJSON', 'serializeMapXML',
+  'UTT_VARIANTS', 'parseUTT', 'applyUTT',
+  'createGame', 'stateFromMap', 'stateFromGameStateJSON', 'mapFromState', 'simpleAI', 'BOTS', 'findBot', 'playBot', 'visibleCells', 'playerView', 'agentObservation', 'sanitizeAgentOrders',
+  'nextRandom', 'randomInt', 'findPath', 'gridnetToOrders', 'actionMasks', 'GRIDNET_MASK_OFFSETS', 'GRIDNET_MASK_SIZE', 'encodeObservation', 'observationPlanes', 'createReplay', 'recordStep', 'openReplay', 'seekReplay', 'parseTrace', 'traceToReplay',
+  'gameWinner', 'gameResult', 'REWARD_KEYS', 'weightedReward', 'rate1vs1', 'createTournament', 'advanceTournament', 'tournamentWaiting', 'leagueTable', 'leagueCSV',
+];
+
+const context = vm.createContext({ console });
+for (const file of SCRIPTS) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+}
+
+module.exports = vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
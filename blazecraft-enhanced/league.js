@@ -0,0 +1,178 @@
+/**
+ * BlazeCraft Enhanced League Panel
+ * Set up and run a round-robin tournament (see tournament.js) between the
+ * selected bots and loaded agents on the selected maps, and show the
+ * TrueSkill league table.
+ * While a tournament runs, the live game's simulation is stopped and the
+ * map isn't drawn, so matches get the whole frame budget.
+ */
+
+// ============================================================
+// PANEL
+// ============================================================
+const LEAGUE_SLICE_MS = 40;     // simulation time per slice before yielding to the page
+const LEAGUE_SLICE_CYCLES = 200;
+const LEAGUE_COLUMNS = [
+  ['name', 'Agent'], ['mu', 'mu'], ['sigma', 'sigma'], ['trueskill', 'TrueSkill'],
+  ['wins', 'W'], ['draws', 'D'], ['losses', 'L'],
+];
+
+function toggleLeague() {
+  const panel = $('#leaguePanel');
+  if (!panel) return;
+  panel.hidden = !panel.hidden;
+  const btn = $('#toggleLeague');
+  if (btn) {
+    btn.classList.toggle('active', !panel.hidden);
+    btn.setAttribute('aria-pressed', !panel.hidden);
+  }
+}
+
+function initLeaguePanel() {
+  $('#toggleLeague')?.addEventListener('click', toggleLeague);
+  const agents = $('#leagueAgents');
+  if (agents) {
+    for (const bot of BOTS) agents.appendChild(leagueCheckbox(bot.id, bot.name, true));
+  }
+  const maps = $('#leagueMaps');
+  if (maps) {
+    maps.appendChild(leagueCheckbox('', 'Current board', true));
+    MAP_CATALOG.forEach((entry, i) => maps.appendChild(leagueCheckbox(i, entry.name, false)));
+  }
+  $('#leagueStart')?.addEventListener('click', () => (state.league?.running ? stopLeague() : startLeague()));
+  $('#leagueExport')?.addEventListener('click', exportLeague);
+  $('#leagueTable thead')?.addEventListener('click', e => {
+    const key = e.target.closest('[data-sort]')?.dataset.sort;
+    if (!key || !state.league) return;
+    const sort = state.league.sort;
+    state.league.sort = { key, desc: sort.key === key ? !sort.desc : key !== 'name' };
+    renderLeagueTable();
+  });
+}
+
+function leagueCheckbox(value, label, checked) {
+  const field = document.createElement('label');
+  field.className = 'obs-field';
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.value = value;
+  box.checked = checked;
+  field.append(box, ` ${label}`);
+  return field;
+}
+
+function checkedValues(sel) {
+  return [...$$(`${sel} input:checked`)].map(box => box.value);
+}
+
+// ============================================================
+// RUNNING
+// ============================================================
+async function startLeague() {
+  const agents = checkedValues('#leagueAgents').map(findAgent).filter(Boolean);
+  const rounds = Math.max(1, parseInt($('#leagueRounds')?.value, 10) || 1);
+  const maxCycles = Math.max(1, parseInt($('#leagueMaxCycles')?.value, 10) || 5000);
+  const maps = [];
+  for (const value of checkedValues('#leagueMaps')) {
+    if (value === '') { maps.push(state.map); continue; }
+    const entry = MAP_CATALOG[value];
+    try {
+      maps.push(parseMapXML(await catalogMapXML(entry), entry.name));
+    } catch (err) {
+      log(`League: skipping ${entry.name}: ${err.message}`, 'error');
+    }
+  }
+  let t;
+  try {
+    t = createTournament({ agents, maps, rounds, maxCycles, seed: state.game.seed });
+  } catch (err) {
+    log(`League: ${err.message}`, 'error');
+    return;
+  }
+  state.league = { t, agents, running: true, timer: null, sort: state.league?.sort || { key: 'trueskill', desc: true } };
+  syncLeagueControls();
+  syncSim();
+  renderLeagueTable();
+  log(`League: ${t.schedule.length} matches, ${agents.length} agents on ${maps.length} map(s)`, 'info');
+  state.league.timer = setTimeout(runLeagueSlice, 0);
+}
+
+function runLeagueSlice() {
+  const league = state.league;
+  if (!league?.running) return;
+  const { t } = league;
+  const played = t.results.length;
+  const until = performance.now() + LEAGUE_SLICE_MS;
+  let done = false;
+  // A loaded agent answers from its worker, so yield while it thinks
+  while (!done && !tournamentWaiting(t) && performance.now() < until) done = advanceTournament(t, LEAGUE_SLICE_CYCLES);
+  if (t.results.length !== played) renderLeagueTable();
+  setText('leagueProgress', `${t.results.length} / ${t.schedule.length} matches`);
+  if (done) {
+    league.running = false;
+    resetLeagueAgents(league);
+    syncLeagueControls();
+    syncSim();
+    const top = leagueTable(t)[0];
+    log(`League finished: ${top.name} leads with TrueSkill ${top.trueskill.toFixed(2)}`, 'info');
+    return;
+  }
+  league.timer = setTimeout(runLeagueSlice, 0);
+}
+
+function stopLeague() {
+  const league = state.league;
+  if (!league?.running) return;
+  league.running = false;
+  clearTimeout(league.timer);
+  resetLeagueAgents(league);
+  syncLeagueControls();
+  syncSim();
+  log(`League stopped after ${league.t.results.length} of ${league.t.schedule.length} matches`, 'info');
+}
+
+// Drop orders and answers left over from the league before the live game
+// plays the agents again
+function resetLeagueAgents(league) {
+  for (const agent of league.agents) agent.reset?.();
+}
+
+// ============================================================
+// TABLE
+// ============================================================
+function renderLeagueTable() {
+  const body = $('#leagueTable tbody');
+  if (!body || !state.league) return;
+  const { key, desc } = state.league.sort;
+  const rows = leagueTable(state.league.t).sort((a, b) => {
+    const order = key === 'name' ? a.name.localeCompare(b.name) : a[key] - b[key];
+    return desc ? -order : order;
+  });
+  body.innerHTML = '';
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const [col] of LEAGUE_COLUMNS) {
+      const td = document.createElement('td');
+      td.textContent = typeof row[col] === 'number' && !Number.isInteger(row[col]) ? row[col].toFixed(2) : row[col];
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+  $$('#leagueTable [data-sort]').forEach(th => {
+    th.setAttribute('aria-sort', th.dataset.sort !== key ? 'none' : desc ? 'descending' : 'ascending');
+  });
+}
+
+function syncLeagueControls() {
+  const running = !!state.league?.running;
+  const start = $('#leagueStart');
+  if (start) start.textContent = running ? 'Stop' : 'Start';
+  const exportBtn = $('#leagueExport');
+  if (exportBtn) exportBtn.disabled = !state.league;
+}
+
+function exportLeague() {
+  if (!state.league) return;
+  downloadText('league.csv', leagueCSV(leagueTable(state.league.t)), 'text/csv');
+  log(`Saved league.csv (${state.league.t.results.length} matches)`, 'info');
+}
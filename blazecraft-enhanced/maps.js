@@ -0,0 +1,214 @@
+/**
+ * BlazeCraft Enhanced Maps
+ * Reader and writer for the MicroRTS rts.PhysicalGameState XML map format,
+ * a reader for its JSON form, and the catalogue of maps offered by the map
+ * picker. DOM-free so it also runs in Node and in workers, where DOMParser
+ * is not available.
+ */
+
+// ============================================================
+// MICRORTS UNIT TYPE NAMES
+// ============================================================
+const MICRORTS_UNIT_TYPES = {
+  Resource: 'resource',
+  Base: 'base',
+  Barracks: 'barracks',
+  Worker: 'worker',
+  Light: 'light',
+  Heavy: 'heavy',
+  Ranged: 'ranged',
+};
+
+// ============================================================
+// BUILT-IN MAPS
+// ============================================================
+// Approximation of basesWorkers16x16 with a wall column in the middle
+const DEFAULT_MAP_XML = `<rts.PhysicalGameState width="16" height="16">
+  <terrain>0000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000110000000000000011000000000000001100000000000000110000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000</terrain>
+  <players>
+    <rts.Player ID="0" resources="5">
+    </rts.Player>
+    <rts.Player ID="1" resources="5">
+    </rts.Player>
+  </players>
+  <units>
+    <rts.units.Unit type="Resource" ID="1" player="-1" x="6" y="2" resources="25" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Resource" ID="2" player="-1" x="7" y="2" resources="25" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Resource" ID="3" player="-1" x="6" y="3" resources="25" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Resource" ID="4" player="-1" x="9" y="12" resources="25" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Resource" ID="5" player="-1" x="8" y="13" resources="25" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Resource" ID="6" player="-1" x="9" y="13" resources="25" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Base" ID="7" player="0" x="1" y="1" resources="0" hitpoints="10" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Worker" ID="8" player="0" x="2" y="1" resources="0" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Worker" ID="9" player="0" x="1" y="2" resources="0" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Base" ID="10" player="1" x="14" y="14" resources="0" hitpoints="10" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Worker" ID="11" player="1" x="13" y="14" resources="0" hitpoints="1" >
+    </rts.units.Unit>
+    <rts.units.Unit type="Worker" ID="12" player="1" x="14" y="13" resources="0" hitpoints="1" >
+    </rts.units.Unit>
+  </units>
+</rts.PhysicalGameState>`;
+
+// Paths are relative to blazecraft-enhanced/ and resolve when the repo root is served
+const MICRORTS_MAP_DIR = '../gym_microrts/microrts/';
+
+const MAP_CATALOG = [
+  { name: 'basesWorkers16x16 (built-in)', xml: DEFAULT_MAP_XML },
+  { name: 'PCG wall-1', path: '../PCG/maps/wall-1' },
+  // ALL16x16_MAPS from gym_microrts/microrts_maps.py
+  ...[
+    'basesWorkers16x16A', 'basesWorkers16x16B', 'basesWorkers16x16C', 'basesWorkers16x16D',
+    'basesWorkers16x16E', 'basesWorkers16x16F', 'basesWorkers16x16G', 'basesWorkers16x16H',
+    'basesWorkers16x16I', 'basesWorkers16x16J', 'basesWorkers16x16K', 'basesWorkers16x16L',
+    'basesWorkers16x16noResources', 'basesWorkers16x16R20', 'melee16x16Mixed8', 'melee16x16Mixed12',
+    'TwoBasesBarracks16x16', 'EightBasesWorkers16x16',
+  ].map(name => ({ name, path: `${MICRORTS_MAP_DIR}maps/16x16/${name}.xml` })),
+];
+
+// ============================================================
+// XML PARSING
+// ============================================================
+function parseXMLAttrs(src) {
+  const attrs = {};
+  const re = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(src))) attrs[m[1]] = m[2] !== undefined ? m[2] : m[3];
+  return attrs;
+}
+
+function parseIntAttr(attrs, key, where) {
+  const v = parseInt(attrs[key], 10);
+  if (Number.isNaN(v)) throw new Error(`${where} is missing a numeric "${key}" attribute`);
+  return v;
+}
+
+/**
+ * Parse a rts.PhysicalGameState XML document into a plain map object:
+ * { name, width, height, terrain[y][x] (0=free, 1=wall), players[{ id, resources }],
+ *   units[{ type, id, player, x, y, resources, hitpoints }], lineOfSight }.
+ * Unit types use the CONFIG.UNIT_TYPES keys; resource patches are units with player -1.
+ * lineOfSight (walls block sight) comes from a lineOfSight="true" root attribute,
+ * a BlazeCraft extension MicroRTS ignores.
+ */
+function parseMapXML(xml, name = 'untitled') {
+  const root = /<rts\.PhysicalGameState\b([^>]*)>/.exec(xml);
+  if (!root) throw new Error('Not a MicroRTS map: missing <rts.PhysicalGameState>');
+  const rootAttrs = parseXMLAttrs(root[1]);
+  const width = parseIntAttr(rootAttrs, 'width', 'rts.PhysicalGameState');
+  const height = parseIntAttr(rootAttrs, 'height', 'rts.PhysicalGameState');
+  if (width <= 0 || height <= 0) throw new Error(`Invalid map size ${width}x${height}`);
+
+  const terrainMatch = /<terrain>([\s\S]*?)<\/terrain>/.exec(xml);
+  const terrainStr = terrainMatch ? terrainMatch[1].replace(/\s+/g, '') : '0'.repeat(width * height);
+  if (terrainStr.length !== width * height) {
+    throw new Error(`Terrain has ${terrainStr.length} cells, expected ${width * height}`);
+  }
+  const terrain = Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (_, x) => (terrainStr[y * width + x] === '1' ? 1 : 0)));
+
+  const players = [];
+  const playerRe = /<rts\.Player\b([^>]*?)\/?>/g;
+  let m;
+  while ((m = playerRe.exec(xml))) {
+    const attrs = parseXMLAttrs(m[1]);
+    players.push({ id: parseIntAttr(attrs, 'ID', 'rts.Player'), resources: parseIntAttr(attrs, 'resources', 'rts.Player') });
+  }
+  players.sort((a, b) => a.id - b.id);
+
+  const units = [];
+  const unitRe = /<rts\.units\.Unit\b([^>]*?)\/?>/g;
+  while ((m = unitRe.exec(xml))) units.push(parseMapUnit(parseXMLAttrs(m[1]), width, height));
+
+  return { name, width, height, terrain, players, units, lineOfSight: rootAttrs.lineOfSight === 'true' };
+}
+
+// One rts.units.Unit, from XML attributes or the same keys in JSON
+function parseMapUnit(attrs, width, height) {
+  const type = MICRORTS_UNIT_TYPES[attrs.type];
+  if (!type) throw new Error(`Unknown unit type "${attrs.type}"`);
+  const unit = {
+    type,
+    id: parseIntAttr(attrs, 'ID', 'rts.units.Unit'),
+    player: parseIntAttr(attrs, 'player', 'rts.units.Unit'),
+    x: parseIntAttr(attrs, 'x', 'rts.units.Unit'),
+    y: parseIntAttr(attrs, 'y', 'rts.units.Unit'),
+    resources: parseInt(attrs.resources, 10) || 0,
+    hitpoints: parseIntAttr(attrs, 'hitpoints', 'rts.units.Unit'),
+  };
+  if (unit.x < 0 || unit.x >= width || unit.y < 0 || unit.y >= height) {
+    throw new Error(`${attrs.type} ${unit.id} at (${unit.x},${unit.y}) is outside the map`);
+  }
+  if (type !== 'resource' && unit.player !== 0 && unit.player !== 1) {
+    throw new Error(`${attrs.type} ${unit.id} has unsupported player ${unit.player}`);
+  }
+  return unit;
+}
+
+// ============================================================
+// JSON PARSING
+// ============================================================
+/**
+ * Parse the JSON PhysicalGameState.toJSON() writes (the "pgs" of a
+ * GameState.toJSON() document or a trace entry) into the same map object
+ * parseMapXML returns.
+ */
+function parsePGSJSON(pgs, name = 'untitled') {
+  if (!pgs || typeof pgs !== 'object') throw new Error('Not a MicroRTS game state: missing "pgs"');
+  const width = parseIntAttr(pgs, 'width', 'pgs');
+  const height = parseIntAttr(pgs, 'height', 'pgs');
+  if (width <= 0 || height <= 0) throw new Error(`Invalid map size ${width}x${height}`);
+  const terrainStr = String(pgs.terrain ?? '0'.repeat(width * height));
+  if (terrainStr.length !== width * height) {
+    throw new Error(`Terrain has ${terrainStr.length} cells, expected ${width * height}`);
+  }
+  const terrain = Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (_, x) => (terrainStr[y * width + x] === '1' ? 1 : 0)));
+  const players = (pgs.players || [])
+    .map(p => ({ id: parseIntAttr(p, 'ID', 'player'), resources: parseIntAttr(p, 'resources', 'player') }))
+    .sort((a, b) => a.id - b.id);
+  const units = (pgs.units || []).map(u => parseMapUnit(u, width, height));
+  return { name, width, height, terrain, players, units };
+}
+
+// ============================================================
+// XML SERIALIZATION
+// ============================================================
+/**
+ * Serialize a map object (same shape parseMapXML returns) into a
+ * rts.PhysicalGameState document laid out the way MicroRTS writes maps.
+ */
+function serializeMapXML(map) {
+  const micrortsName = {};
+  for (const [name, type] of Object.entries(MICRORTS_UNIT_TYPES)) micrortsName[type] = name;
+
+  const terrain = map.terrain.map(row => row.map(t => (t === 1 ? '1' : '0')).join('')).join('');
+  const los = map.lineOfSight ? ' lineOfSight="true"' : '';
+  const lines = [`<rts.PhysicalGameState width="${map.width}" height="${map.height}"${los}>`];
+  lines.push(`  <terrain>${terrain}</terrain>`);
+  lines.push('  <players>');
+  for (const p of map.players) {
+    lines.push(`    <rts.Player ID="${p.id}" resources="${p.resources}">`, '    </rts.Player>');
+  }
+  lines.push('  </players>');
+  lines.push('  <units>');
+  for (const u of map.units) {
+    const type = micrortsName[u.type];
+    if (!type) throw new Error(`Unit type "${u.type}" has no MicroRTS equivalent`);
+    lines.push(
+      `    <rts.units.Unit type="${type}" ID="${u.id}" player="${u.player}" x="${u.x}" y="${u.y}" resources="${u.resources}" hitpoints="${u.hitpoints}" >`,
+      '    </rts.units.Unit>');
+  }
+  lines.push('  </units>');
+  lines.push('</rts.PhysicalGameState>');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,105 @@
+/**
+ * BlazeCraft Enhanced Observations
+ * Encode a game state as the one-hot observation tensor gym-microrts feeds
+ * its models (MicroRTSGridModeVecEnv._encode_obs), so policies trained there
+ * can read the browser game. DOM-free.
+ *
+ *   const obs = encodeObservation(game.state, 0);   // as seen by player 0
+ *   obs.shape;                                      // [H, W, 29]
+ *   obs.data[(y * W + x) * 29 + c];                 // plane c of cell (x, y)
+ *
+ * Planes, each group one-hot per cell, in the env's num_planes order:
+ *   hit points 0..4+ (5), resources 0..4+ (5), owner none/own/enemy (3),
+ *   unit type none + UTT types in ID order (8), current action noop, move,
+ *   harvest, return, produce, attack (6), terrain free/wall (2), and with
+ *   { partialObs: true } player 0 and player 1 visibility (1 + 1). Those two
+ *   are one plane each, so the env's clipping sets them in every cell.
+ * Under partialObs the player only sees units, resources included, in cells
+ * its own units can see (see visibleCells in sim.js). { terrain: false }
+ * drops the terrain planes, as older gym-microrts versions did.
+ */
+
+// ============================================================
+// PLANE LAYOUT
+// ============================================================
+// Group names and their values; the unit type group comes from the active UTT
+function observationGroups({ terrain = true, partialObs = false } = {}) {
+  const groups = [
+    ['hp', ['0', '1', '2', '3', '4+']],
+    ['resources', ['0', '1', '2', '3', '4+']],
+    ['owner', ['none', 'own', 'enemy']],
+    ['type', ['none', ...CONFIG.UTT.utt.unitTypes.map(t => t.name)]],
+    ['action', GRIDNET_ACTION_TYPES],
+  ];
+  if (terrain) groups.push(['terrain', ['free', 'wall']]);
+  if (partialObs) groups.push(['visible', ['player0']], ['visible', ['player1']]);
+  return groups;
+}
+
+// Flat plane names, e.g. 'hp=2' or 'type=Worker', in tensor order
+function observationPlanes(options) {
+  return observationGroups(options).flatMap(([group, values]) => values.map(v => `${group}=${v}`));
+}
+
+// Current MicroRTS unit action, numbered as in the gridnet action type
+const OBS_ACTION_CODES = { move: 1, harvest: 2, return: 3, attack: 5 };
+
+// ============================================================
+// ENCODER
+// ============================================================
+// `player` is the MicroRTS player ID (0 or 1) the owner planes are relative to
+function encodeObservation(gs, player, { terrain = true, partialObs = false } = {}) {
+  const w = gs.width;
+  const h = gs.height;
+  const groups = observationGroups({ terrain, partialObs });
+  const visible = partialObs && [visibleCells(gs, 1), visibleCells(gs, 2)];
+  const sees = visible && visible[player];
+  const offsets = [];
+  let depth = 0;
+  for (const [, values] of groups) {
+    offsets.push(depth);
+    depth += values.length;
+  }
+  const typeIds = {};
+  for (const t of CONFIG.UTT.utt.unitTypes) typeIds[MICRORTS_UNIT_TYPES[t.name]] = t.ID;
+
+  // Raw per-cell values [hp, resources, owner, type, action, terrain,
+  // visible to player 0, visible to player 1], as the Java side sends them
+  // before one-hot encoding; groups left out are skipped below
+  const raw = Array.from({ length: w * h }, () => [0, 0, 0, 0, 0, 0, 0, 0]);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const cell = raw[y * w + x];
+      if (gs.grid[y][x] === 1) cell[5] = 1;
+      if (visible) {
+        cell[6] = visible[0][y * w + x];
+        cell[7] = visible[1][y * w + x];
+      }
+      if (gs.grid[y][x] === 2 && (!sees || sees[y * w + x])) {
+        // Resource patches are neutral units with 1 hit point
+        cell[0] = 1;
+        cell[1] = gs.resourceAmounts[y][x];
+        cell[3] = typeIds.resource + 1;
+      }
+    }
+  }
+  for (const u of gs.units) {
+    if (sees && u.owner !== player + 1 && !sees[u.gy * w + u.gx]) continue;
+    const cell = raw[u.gy * w + u.gx];
+    cell[0] = Math.ceil(u.hp);
+    cell[1] = u.carrying;
+    cell[2] = ((u.owner - 1 + player) % 2) + 1;
+    cell[3] = typeIds[u.type] + 1;
+    cell[4] = isProducing(gs, u) ? 4 : (u.step && OBS_ACTION_CODES[u.step.kind]) || 0;
+  }
+
+  const fields = [0, 1, 2, 3, 4, ...(terrain ? [5] : []), ...(partialObs ? [6, 7] : [])];
+  const data = new Int32Array(w * h * depth);
+  raw.forEach((cell, i) => {
+    groups.forEach(([, values], g) => {
+      const v = Math.max(0, Math.min(values.length - 1, cell[fields[g]]));
+      data[i * depth + offsets[g] + v] = 1;
+    });
+  });
+  return { shape: [h, w, depth], data, planes: observationPlanes({ terrain, partialObs }) };
+}
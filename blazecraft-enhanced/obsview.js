@@ -0,0 +1,142 @@
+/**
+ * BlazeCraft Enhanced Observation Debug Views
+ * Shows one plane of the encoded observation (see observation.js) as a
+ * heatmap over the map, to sanity-check what a model would see, and the
+ * action mask of the selected units (see gridnet.js), to see which of a
+ * model's actions the engine would accept.
+ */
+
+// ============================================================
+// PANEL
+// ============================================================
+function toggleObsView() {
+  state.obsView = state.obsView ? null : { plane: 0, player: 0, terrain: true, cache: null };
+  const btn = $('#toggleObs');
+  if (btn) {
+    btn.classList.toggle('active', !!state.obsView);
+    btn.setAttribute('aria-pressed', !!state.obsView);
+  }
+  const panel = $('#obsPanel');
+  if (panel) panel.hidden = !state.obsView;
+  if (state.obsView) renderObsPlaneOptions();
+}
+
+// The plane list depends on the terrain option, fog and the active UTT
+function renderObsPlaneOptions() {
+  const select = $('#obsPlane');
+  if (!select || !state.obsView) return;
+  const planes = observationPlanes(obsOptions());
+  state.obsView.plane = Math.min(state.obsView.plane, planes.length - 1);
+  select.innerHTML = '';
+  planes.forEach((name, i) => {
+    const opt = document.createElement('option');
+    opt.value = i;
+    opt.textContent = `${i}: ${name}`;
+    select.appendChild(opt);
+  });
+  select.value = state.obsView.plane;
+}
+
+// Encoded observation for the current cycle, re-encoded when the game moves on
+function currentObservation() {
+  const view = state.obsView;
+  const key = `${state.game.cycle}/${view.player}/${view.terrain}/${CONFIG.PARTIAL_OBS}`;
+  if (!view.cache || view.cache.key !== key || view.cache.game !== state.game) {
+    const obs = encodeObservation(state.game, view.player, obsOptions());
+    view.cache = { key, game: state.game, obs };
+    let count = 0;
+    for (let i = view.plane; i < obs.data.length; i += obs.shape[2]) count += obs.data[i];
+    setText('obsCount', `${count} cells`);
+  }
+  return view.cache.obs;
+}
+
+// Partial observability follows the bots' setting, as the env's partial_obs
+function obsOptions() {
+  return { terrain: state.obsView.terrain, partialObs: CONFIG.PARTIAL_OBS };
+}
+
+function initObsPanel() {
+  $('#toggleObs')?.addEventListener('click', toggleObsView);
+  $('#toggleMask')?.addEventListener('click', toggleMaskView);
+  $('#obsPlane')?.addEventListener('change', e => {
+    state.obsView.plane = parseInt(e.target.value, 10) || 0;
+    state.obsView.cache = null;
+  });
+  $('#obsPlayer')?.addEventListener('change', e => {
+    state.obsView.player = parseInt(e.target.value, 10) || 0;
+  });
+  $('#obsTerrain')?.addEventListener('change', e => {
+    state.obsView.terrain = e.target.checked;
+    renderObsPlaneOptions();
+  });
+}
+
+// ============================================================
+// HEATMAP
+// ============================================================
+function drawObsHeatmap(cs) {
+  const obs = currentObservation();
+  const [h, w, depth] = obs.shape;
+  ctx.fillStyle = '#f59e0b88';
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (obs.data[(y * w + x) * depth + state.obsView.plane]) ctx.fillRect(x * cs, y * cs, cs, cs);
+    }
+  }
+}
+
+// ============================================================
+// ACTION MASK OVERLAY
+// ============================================================
+// Cell colors per action type; noop has no cell
+const MASK_COLORS = { move: '#3b82f6', harvest: '#22c55e', return: '#eab308', produce: '#a855f7', attack: '#ef4444' };
+
+function toggleMaskView() {
+  state.showMask = !state.showMask;
+  const btn = $('#toggleMask');
+  if (btn) {
+    btn.classList.toggle('active', state.showMask);
+    btn.setAttribute('aria-pressed', state.showMask);
+  }
+}
+
+// Outline the cells each legal action of the selected units targets, and
+// label busy units, whose every action would be dropped
+function drawMaskOverlay(cs) {
+  const M = GRIDNET_MASK_OFFSETS;
+  const half = GRIDNET_ATTACK_SIZE >> 1;
+  ctx.lineWidth = 2;
+  ctx.font = `${Math.max(8, cs * 0.22)}px monospace`;
+  ctx.textAlign = 'center';
+  for (const id of state.selected) {
+    const u = state.game.units.find(x => x.id === id);
+    if (!u) continue;
+    const mask = unitActionMask(state.game, u);
+    if (!mask) {
+      ctx.fillStyle = '#f87171';
+      ctx.fillText('busy', u.gx * cs + cs / 2, u.gy * cs - 2);
+      continue;
+    }
+    const mark = (color, x, y, inset) => {
+      ctx.strokeStyle = color;
+      ctx.strokeRect(x * cs + inset, y * cs + inset, cs - inset * 2, cs - inset * 2);
+    };
+    PATH_DIRS.forEach(([dx, dy], dir) => {
+      const x = u.gx + dx;
+      const y = u.gy + dy;
+      if (mask[M.move + dir]) mark(MASK_COLORS.move, x, y, 2);
+      if (mask[M.harvest + dir]) mark(MASK_COLORS.harvest, x, y, 2);
+      if (mask[M.return + dir]) mark(MASK_COLORS.return, x, y, 2);
+      if (mask[M.produceDir + dir]) mark(MASK_COLORS.produce, x, y, 6);
+    });
+    for (let i = 0; i < GRIDNET_ATTACK_SIZE * GRIDNET_ATTACK_SIZE; i++) {
+      if (!mask[M.attack + i]) continue;
+      mark(MASK_COLORS.attack, u.gx + (i % GRIDNET_ATTACK_SIZE) - half, u.gy + Math.floor(i / GRIDNET_ATTACK_SIZE) - half, 2);
+    }
+    const legal = GRIDNET_ACTION_TYPES.filter((_, t) => mask[M.type + t]);
+    ctx.fillStyle = '#e5e7eb';
+    ctx.fillText(legal.join(' '), u.gx * cs + cs / 2, u.gy * cs - 2);
+  }
+  ctx.textAlign = 'start';
+}
@@ -0,0 +1,143 @@
+/**
+ * BlazeCraft Enhanced Pathfinding
+ * A* over the 4-connected grid, as in MicroRTS: no diagonal steps; walls,
+ * resource patches, standing units and reserved cells block, and moving
+ * units only block the first step. A goal can be "any cell within `range`
+ * of a target", so harvest and return trips and attack approaches stop at
+ * the right distance. DOM-free.
+ */
+
+// Neighbor order matches MicroRTS directions: up, right, down, left
+const PATH_DIRS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// Cells to walk from (sx, sy) to any cell within Manhattan `range` of
+// (tx, ty), excluding the start. [] if already there, null if unreachable.
+function findPath(gs, sx, sy, tx, ty, range = 0) {
+  const w = gs.width;
+  const dist = (x, y) => Math.abs(x - tx) + Math.abs(y - ty);
+  const isGoal = (x, y) => dist(x, y) <= range;
+  if (isGoal(sx, sy)) return [];
+
+  const blocked = new Uint8Array(w * gs.height);
+  for (const u of gs.units) {
+    if (!u.step || u.step.kind !== 'move') {
+      blocked[u.gy * w + u.gx] = 1;
+      continue;
+    }
+    // A moving unit will have left by the time the path gets further
+    for (const [x, y] of [[u.gx, u.gy], [u.step.x, u.step.y]]) {
+      if (Math.abs(x - sx) + Math.abs(y - sy) <= 1) blocked[y * w + x] = 1;
+    }
+  }
+  for (const pq of gs.prodQueue) if (pq.x !== undefined) blocked[pq.y * w + pq.x] = 1;
+  const cost = new Map([[sy * w + sx, 0]]);
+  const parent = new Map();
+  const open = [];
+  let order = 0;
+  heapPush(open, { f: dist(sx, sy) - range, h: dist(sx, sy), n: order++, x: sx, y: sy });
+
+  while (open.length) {
+    const cur = heapPop(open);
+    const key = cur.y * w + cur.x;
+    const g = cost.get(key);
+    if (cur.f > g + Math.max(0, cur.h - range)) continue;  // stale entry
+    if (isGoal(cur.x, cur.y)) {
+      const path = [];
+      for (let k = key; k !== sy * w + sx; k = parent.get(k)) path.push({ x: k % w, y: Math.floor(k / w) });
+      return path.reverse();
+    }
+    for (const [dx, dy] of PATH_DIRS) {
+      const nx = cur.x + dx;
+      const ny = cur.y + dy;
+      if (nx < 0 || nx >= w || ny < 0 || ny >= gs.height) continue;
+      const nk = ny * w + nx;
+      if (gs.grid[ny][nx] !== 0 || blocked[nk]) continue;
+      const ng = g + 1;
+      if (cost.has(nk) && cost.get(nk) <= ng) continue;
+      cost.set(nk, ng);
+      parent.set(nk, key);
+      const h = dist(nx, ny);
+      heapPush(open, { f: ng + Math.max(0, h - range), h, n: order++, x: nx, y: ny });
+    }
+  }
+  return null;
+}
+
+const PATH_RETRIES = 3;       // failed plans toward a goal before giving up on it
+const PATH_RETRY_CYCLES = 5;  // cycles to wait before planning again
+
+// Next cell on the unit's cached path toward the goal, planning a new path
+// when the goal changed or the next cell is taken. A goal with no route is
+// planned again every PATH_RETRY_CYCLES, in case the units in the way move
+// off, up to PATH_RETRIES times. Null if there is no free next cell; u.path
+// is null once the unit gives up on the goal.
+function nextPathStep(gs, u, tx, ty, range = 0) {
+  const goal = `${tx},${ty},${range}`;
+  if (u.pathGoal !== goal) {
+    u.path = null;
+    u.pathGoal = goal;
+    u.pathRetries = 0;
+  } else if (u.pathWait > gs.cycle) {
+    return null;
+  }
+  const next = u.path && u.path[0];
+  if (!next || !isWalkable(gs, next.x, next.y)) {
+    u.path = findPath(gs, u.gx, u.gy, tx, ty, range);
+    if (u.path) u.pathRetries = 0;
+    else if ((u.pathRetries || 0) < PATH_RETRIES) {
+      u.pathRetries = (u.pathRetries || 0) + 1;
+      u.pathWait = gs.cycle + PATH_RETRY_CYCLES;
+      u.path = [];  // still going, just waiting
+      return null;
+    }
+  }
+  const step = u.path && u.path[0];
+  if (!step || !isWalkable(gs, step.x, step.y)) return null;
+  u.path.shift();
+  return step;
+}
+
+function clearPath(u) {
+  u.path = null;
+  u.pathGoal = null;
+  u.pathRetries = 0;
+  u.pathWait = 0;
+}
+
+// ============================================================
+// BINARY HEAP (ordered by f, then h, then insertion)
+// ============================================================
+function heapLess(a, b) {
+  return a.f !== b.f ? a.f < b.f : a.h !== b.h ? a.h < b.h : a.n < b.n;
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (!heapLess(heap[i], heap[p])) break;
+    [heap[i], heap[p]] = [heap[p], heap[i]];
+    i = p;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && heapLess(heap[l], heap[m])) m = l;
+      if (r < heap.length && heapLess(heap[r], heap[m])) m = r;
+      if (m === i) break;
+      [heap[i], heap[m]] = [heap[m], heap[i]];
+      i = m;
+    }
+  }
+  return top;
+}
@@ -0,0 +1,175 @@
+/**
+ * BlazeCraft Enhanced Replay Playback
+ * Watch a recorded game (see replay.js) with play/pause, speed control,
+ * single-cycle steps and a scrubber over the cycle. The board, reward panel
+ * and event log always show the scrubbed cycle. Closing playback returns to
+ * the live game, which stays paused while a replay is open.
+ */
+
+// ============================================================
+// OPEN / CLOSE
+// ============================================================
+const PLAYBACK_LOG_LIMIT = 200;
+
+function openPlayback(replay, name = 'replay') {
+  const liveUTT = CONFIG.UTT;
+  const pb = openReplay(replay);
+  pb.name = name;
+  pb.playing = false;
+  pb.speed = 1;
+  pb.carry = 0;  // fractional cycles owed at slow speeds
+  pb.live = state.playback ? state.playback.live : {
+    game,
+    map: state.map,
+    replay: state.replay,
+    events: state.events,
+    demoRandom: state.demoRandom,
+    startTime: state.startTime,
+    utt: liveUTT,
+  };
+
+  setActiveUTT(CONFIG.UTT.utt, CONFIG.UTT.name);
+  state.map = replay.map;
+  useGame(pb.game, null);
+  state.playback = pb;
+  seekPlayback(pb.start);
+  syncPlaybackBar();
+  log(`Replay ${name}: ${replay.map.name}, cycles ${pb.start}-${pb.end}, seed ${replay.seed}`, 'info', cycleTime(pb.start));
+}
+
+function closePlayback() {
+  const pb = state.playback;
+  if (!pb) return;
+  setActiveUTT(pb.live.utt.utt, pb.live.utt.name);
+  state.map = pb.live.map;
+  useGame(pb.live.game, pb.live.replay);
+  state.demoRandom = pb.live.demoRandom;
+  state.startTime = pb.live.startTime;
+  state.events = pb.live.events;
+  rerenderLog();
+  updateUI();
+  updateRewards();
+  log('Replay closed, live game resumed', 'info');
+}
+
+// ============================================================
+// TRANSPORT
+// ============================================================
+function tickPlayback() {
+  const pb = state.playback;
+  if (!pb.playing) return;
+  pb.carry += pb.speed;
+  while (pb.carry >= 1 && pb.game.state.cycle < pb.end) {
+    pb.carry--;
+    const { events } = stepReplay(pb);
+    handleGameEvents(events, cycleTime(pb.game.state.cycle));
+  }
+  if (pb.game.state.cycle >= pb.end) pb.playing = false;
+  refreshPlaybackView();
+}
+
+// Jump to `cycle` and rebuild the event log up to it
+function seekPlayback(cycle) {
+  const pb = state.playback;
+  seekReplay(pb, cycle);
+  state.renderPos = {};
+  state.particles = [];
+  const current = pb.game.state.cycle;
+  const lines = [];
+  for (let c = current; c > pb.start && lines.length < PLAYBACK_LOG_LIMIT; c--) {
+    for (const ev of (pb.events[c] || []).slice().reverse()) {
+      const line = describeEvent(ev);
+      if (line) lines.push({ time: cycleTime(c), msg: line.msg, type: line.type });
+    }
+  }
+  state.events = lines.reverse();
+  rerenderLog();
+  renderProdQueue();
+  refreshPlaybackView();
+}
+
+function stepPlayback(delta) {
+  const pb = state.playback;
+  pb.playing = false;
+  if (delta > 0 && pb.game.state.cycle < pb.end) {
+    const { events } = stepReplay(pb);
+    handleGameEvents(events, cycleTime(pb.game.state.cycle));
+    refreshPlaybackView();
+  } else if (delta < 0) {
+    seekPlayback(pb.game.state.cycle - 1);
+  }
+}
+
+function togglePlaybackPlay() {
+  const pb = state.playback;
+  if (pb.game.state.cycle >= pb.end) seekPlayback(pb.start);
+  pb.playing = !pb.playing;
+  pb.carry = 0;
+  syncPlaybackBar();
+}
+
+// Space plays/pauses, arrows step; returns true when the key was handled
+function onPlaybackKey(e) {
+  if (e.key === ' ') { e.preventDefault(); togglePlaybackPlay(); return true; }
+  if (e.key === 'ArrowRight') { stepPlayback(1); return true; }
+  if (e.key === 'ArrowLeft') { stepPlayback(-1); return true; }
+  return false;
+}
+
+// ============================================================
+// VIEW
+// ============================================================
+// Game clock for a cycle, as it read during the live game
+function cycleTime(cycle) {
+  const elapsed = Math.floor((cycle * CONFIG.TICK_MS) / 1000);
+  const m = Math.floor(elapsed / 60).toString().padStart(2, '0');
+  const s = (elapsed % 60).toString().padStart(2, '0');
+  return `${m}:${s}`;
+}
+
+function refreshPlaybackView() {
+  const pb = state.playback;
+  // seekReplay may swap in a restored state object
+  state.game = pb.game.state;
+  setText('gameTime', cycleTime(state.game.cycle));
+  updateFog();
+  updateUI();
+  updateRewards();
+  refreshChart();
+  syncPlaybackBar();
+}
+
+function syncPlaybackBar() {
+  const bar = $('#playbackBar');
+  if (!bar) return;
+  const pb = state.playback;
+  bar.hidden = !pb;
+  const status = $('#logStatus');
+  if (status) {
+    status.textContent = pb ? 'Replay' : 'Live';
+    status.classList.toggle('tag-live', !pb);
+    status.classList.toggle('tag-replay', !!pb);
+  }
+  if (!pb) return;
+  const scrubber = $('#pbScrubber');
+  scrubber.min = pb.start;
+  scrubber.max = pb.end;
+  scrubber.value = pb.game.state.cycle;
+  $('#pbPlay').textContent = pb.playing ? 'Pause' : 'Play';
+  $('#pbSpeed').value = pb.speed;
+  setText('pbCycle', `${pb.game.state.cycle} / ${pb.end}`);
+}
+
+function initPlaybackBar() {
+  $('#pbPlay')?.addEventListener('click', togglePlaybackPlay);
+  $('#pbBack')?.addEventListener('click', () => stepPlayback(-1));
+  $('#pbForward')?.addEventListener('click', () => stepPlayback(1));
+  $('#pbClose')?.addEventListener('click', closePlayback);
+  $('#pbSpeed')?.addEventListener('change', e => {
+    state.playback.speed = parseFloat(e.target.value) || 1;
+  });
+  $('#pbScrubber')?.addEventListener('input', e => {
+    state.playback.playing = false;
+    seekPlayback(parseInt(e.target.value, 10));
+  });
+}
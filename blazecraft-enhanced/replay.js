@@ -0,0 +1,97 @@
+/**
+ * BlazeCraft Enhanced Replays
+ * Record a game as its starting state (which carries the seed) plus every
+ * cycle's orders, then play it back by re-running the simulation. DOM-free;
+ * the playback bar lives in playback.js. Replays converted from MicroRTS
+ * traces (see trace.js) also carry `syncs`, [cycle, map] boards the
+ * simulation is snapped to as it passes them.
+ *
+ *   const replay = createReplay(map, game.state);
+ *   recordStep(replay, game.state.cycle + 1, orders);   // before each game.step(orders)
+ *   const pb = openReplay(JSON.parse(text));
+ *   seekReplay(pb, 500);                                 // pb.game.state is now cycle 500
+ *
+ * Only cycles with at least one order are stored, as [cycle, { owner: orders }].
+ */
+
+// ============================================================
+// RECORDING
+// ============================================================
+const REPLAY_FORMAT = 'blazecraft-replay';
+const REPLAY_KEYFRAME_INTERVAL = 100;  // cycles between playback snapshots
+
+function createReplay(map, gs) {
+  return {
+    format: REPLAY_FORMAT,
+    version: 1,
+    map,
+    seed: gs.seed,
+    utt: CONFIG.UTT,
+    initial: JSON.parse(JSON.stringify(gs)),
+    endCycle: gs.cycle,
+    steps: [],
+  };
+}
+
+// Record the orders that produce `cycle`
+function recordStep(replay, cycle, orders) {
+  const entry = {};
+  for (const [owner, list] of Object.entries(orders)) {
+    if (list && list.length) entry[owner] = list;
+  }
+  if (Object.keys(entry).length) replay.steps.push([cycle, JSON.parse(JSON.stringify(entry))]);
+  replay.endCycle = cycle;
+}
+
+// ============================================================
+// PLAYBACK
+// ============================================================
+// Simulate the whole replay once, keeping a snapshot every
+// REPLAY_KEYFRAME_INTERVAL cycles and the events of every cycle, so seeking
+// anywhere only re-runs a short stretch. Makes the replay's UTT active.
+function openReplay(replay) {
+  if (!replay || replay.format !== REPLAY_FORMAT || !replay.initial || !Array.isArray(replay.steps)) {
+    throw new Error('not a BlazeCraft replay');
+  }
+  if (replay.utt) applyUTT(replay.utt.utt, replay.utt.name);
+  const pb = {
+    replay,
+    game: createGame(),
+    start: replay.initial.cycle,
+    end: replay.endCycle,
+    orders: {},     // cycle -> { owner: orders }
+    keyframes: {},  // cycle -> JSON state
+    events: {},     // cycle -> events emitted by that step
+  };
+  for (const [cycle, orders] of replay.steps) pb.orders[cycle] = orders;
+  pb.syncs = Object.fromEntries(replay.syncs || []);
+
+  pb.game.state = JSON.parse(JSON.stringify(replay.initial));
+  pb.keyframes[pb.start] = JSON.stringify(pb.game.state);
+  while (pb.game.state.cycle < pb.end) {
+    const { events } = stepReplay(pb);
+    const cycle = pb.game.state.cycle;
+    if (events.length) pb.events[cycle] = events;
+    if (cycle % REPLAY_KEYFRAME_INTERVAL === 0) pb.keyframes[cycle] = JSON.stringify(pb.game.state);
+  }
+  seekReplay(pb, pb.start);
+  return pb;
+}
+
+// Advance one cycle with the recorded orders
+function stepReplay(pb) {
+  const result = pb.game.step(pb.orders[pb.game.state.cycle + 1] || {});
+  const sync = pb.syncs[pb.game.state.cycle];
+  if (sync) syncStateToMap(pb.game.state, sync);
+  return result;
+}
+
+// Move pb.game to `cycle`, restoring the nearest earlier keyframe when needed
+function seekReplay(pb, cycle) {
+  cycle = Math.max(pb.start, Math.min(pb.end, cycle | 0));
+  const key = Math.max(pb.start, cycle - (cycle % REPLAY_KEYFRAME_INTERVAL));
+  const current = pb.game.state.cycle;
+  if (current > cycle || current < key) pb.game.state = JSON.parse(pb.keyframes[key]);
+  while (pb.game.state.cycle < cycle) stepReplay(pb);
+  return pb.game.state;
+}
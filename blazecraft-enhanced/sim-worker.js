@@ -0,0 +1,9 @@
+/**
+ * BlazeCraft Enhanced Simulation Worker
+ * Runs the live game's simulation host (see simhost.js) off the page thread.
+ */
+
+importScripts('config.js', 'maps.js', 'utt.js', 'pathfinding.js', 'sim.js', 'gridnet.js', 'bots.js', 'simhost.js');
+
+const host = createSimHost(msg => self.postMessage(msg));
+self.onmessage = e => host.receive(e.data);
@@ -0,0 +1,782 @@
+/**
+ * BlazeCraft Enhanced Simulation Core
+ * DOM-free game rules. A game wraps a plain, JSON-serializable state object
+ * and advances it one cycle per step(actionsByPlayer). Nothing here touches
+ * the page: side effects a view cares about (logs, particles) are returned
+ * as events from step(). The canvas/HUD in engine.js is one consumer; batch
+ * simulation and search use the same API through headless.js.
+ *
+ *   const game = createGame(parseMapXML(xml), 42);   // same seed + orders = same game
+ *   const { events } = game.step({ 1: [{ unit: 8, action: 'move', target: { x: 4, y: 1 } }], 2: [] });
+ *   const branch = game.clone();
+ *
+ * Orders (one per unit per step, owner must match the player key):
+ *   { unit, action: 'noop' | 'move' | 'return', target: { x, y } }
+ *   { unit, action: 'harvest', target: { x, y } }    resource cell, harvested from next to it
+ *   { unit, action: 'attack', target: unitId }
+ *   { action: 'produce', unitType }                  queue at the building with the shortest queue
+ *   { unit, action: 'produce', unitType }            queue at that building
+ *   { unit, action: 'produce', unitType, target: { x, y } }  that unit produces into that cell
+ *   { unit, action: 'build', unitType, target: { x, y } }    walk next to the cell, then produce into it
+ *   { unit, action: 'rally', target: { x, y } | null }       where that building's new units go
+ * Unit orders with `once: true` run a single unit action and then go idle,
+ * the way a MicroRTS unit action does (see gridnet.js).
+ *   { action: 'spawn', unitType, x, y }              scripted spawn, no cost or build time
+ *   { action: 'grant', amount }                      scripted income
+ */
+
+// ============================================================
+// GAME FACTORY
+// ============================================================
+function createGame(map, seed) {
+  const game = {
+    state: null,
+    reset(newMap, newSeed = randomSeed()) {
+      game.state = stateFromMap(newMap, newSeed);
+      return game.state;
+    },
+    step(actionsByPlayer = {}) {
+      return stepState(game.state, actionsByPlayer);
+    },
+    clone() {
+      const copy = createGame();
+      copy.state = JSON.parse(JSON.stringify(game.state));
+      return copy;
+    },
+  };
+  if (map) game.reset(map, seed);
+  return game;
+}
+
+// ============================================================
+// STATE <-> MAP
+// ============================================================
+function emptyRewards() {
+  return { winLoss: 0, resources: 0, workers: 0, buildings: 0, attack: 0, combat: 0 };
+}
+
+function playerRewards() {
+  return { 1: emptyRewards(), 2: emptyRewards() };
+}
+
+// Build a fresh game state from a parsed MicroRTS map (see maps.js)
+function stateFromMap(map, seed = randomSeed()) {
+  const gs = {
+    width: map.width,
+    height: map.height,
+    grid: map.terrain.map(row => row.slice()),  // terrain: 0=free, 1=wall, 2=resource
+    resourceAmounts: Array.from({ length: map.height }, () => Array(map.width).fill(0)),
+    units: [],
+    gold: {},            // stockpile per owner
+    prodQueue: [],
+    rewards: playerRewards(),      // owner -> reward components summed over the game (see REWARDS)
+    stepRewards: playerRewards(),  // owner -> the last step's reward components
+    cycle: 0,
+    nextUnitId: 1,
+    seed: seed >>> 0,
+    rng: seed >>> 0,     // PRNG state, advanced by nextRandom(gs)
+    lineOfSight: !!map.lineOfSight,  // walls block sight (see visibleCells)
+  };
+  for (const p of map.players) gs.gold[p.id + 1] = p.resources;
+  for (const mu of map.units) {
+    if (mu.type === 'resource') {
+      gs.grid[mu.y][mu.x] = 2;
+      gs.resourceAmounts[mu.y][mu.x] = mu.resources;
+    } else {
+      // Owners are 1-based here; MicroRTS player IDs are 0-based
+      const unit = spawnUnit(gs, mu.type, mu.x, mu.y, mu.player + 1);
+      unit.id = mu.id;
+      unit.hp = mu.hitpoints;
+      unit.maxHp = Math.max(unit.maxHp, mu.hitpoints);
+      unit.carrying = mu.resources;
+    }
+    gs.nextUnitId = Math.max(gs.nextUnitId, mu.id + 1);
+  }
+  return gs;
+}
+
+// Inverse of stateFromMap: capture a game state as a map object
+function mapFromState(gs, name = 'untitled') {
+  const units = gs.units.map(u => ({
+    type: u.type,
+    id: u.id,
+    player: u.owner - 1,
+    x: u.gx,
+    y: u.gy,
+    resources: u.carrying,
+    hitpoints: Math.max(1, Math.ceil(u.hp)),
+  }));
+  let nextId = gs.units.reduce((m, u) => Math.max(m, u.id + 1), 1);
+  for (let y = 0; y < gs.height; y++) {
+    for (let x = 0; x < gs.width; x++) {
+      if (gs.grid[y][x] !== 2) continue;
+      units.push({ type: 'resource', id: nextId++, player: -1, x, y, resources: gs.resourceAmounts[y][x], hitpoints: 1 });
+    }
+  }
+  return {
+    name,
+    width: gs.width,
+    height: gs.height,
+    terrain: gs.grid.map(row => row.map(t => (t === 1 ? 1 : 0))),
+    players: [1, 2].map(owner => ({ id: owner - 1, resources: gs.gold[owner] ?? 0 })),
+    units,
+    lineOfSight: !!gs.lineOfSight,
+  };
+}
+
+// Build a game state from a MicroRTS GameState.toJSON() document: its map,
+// cycle and the unit actions in progress, which become steps and production
+// entries with the cycles they have left
+function stateFromGameStateJSON(json, name) {
+  const gs = stateFromMap(parsePGSJSON(json.pgs, name), 0);
+  gs.cycle = json.time | 0;
+  for (const { ID, time, action } of json.actions || []) {
+    const u = gs.units.find(x => x.id === ID);
+    if (u && action) applyUnitActionJSON(gs, u, action, time ?? gs.cycle);
+  }
+  return gs;
+}
+
+// A UnitAction.toJSON() action that `u` started at cycle `start`
+function applyUnitActionJSON(gs, u, action, start) {
+  const def = CONFIG.UNIT_TYPES[u.type];
+  const elapsed = gs.cycle - start;
+  const dir = PATH_DIRS[action.parameter];
+  const next = dir && { x: u.gx + dir[0], y: u.gy + dir[1] };
+  const begin = (kind, time, order, target, step) => {
+    u.action = order;
+    u.target = target;
+    u.once = true;
+    startStep(u, kind, time - elapsed, step);
+  };
+  switch (action.type) {
+    case 1:
+      if (next) begin('move', def.moveTime, 'move', next, next);
+      break;
+    case 2:
+      if (next) begin('harvest', def.harvestTime, 'harvest', next, next);
+      break;
+    case 3:
+      if (next) begin('return', def.returnTime, 'return', next, next);
+      break;
+    case 4: {
+      const unitType = MICRORTS_UNIT_TYPES[action.unitType];
+      if (!next || !unitType) break;
+      gs.prodQueue.push({
+        unitType,
+        owner: u.owner,
+        producer: u.id,
+        gx: u.gx,
+        gy: u.gy,
+        ...next,
+        progress: elapsed,
+        total: CONFIG.UNIT_TYPES[unitType].produceTime,
+      });
+      break;
+    }
+    case 5: {
+      const target = gs.units.find(t => t.gx === action.x && t.gy === action.y);
+      if (target) begin('attack', def.attackTime, 'attack', target.id, { target: target.id });
+      break;
+    }
+  }
+}
+
+// Make the board of `gs` match a map object (terrain, resources, units,
+// gold), as when following a recorded game. Units still where they were
+// keep the unit action in progress, and so does their production.
+function syncStateToMap(gs, map) {
+  const fresh = stateFromMap(map, 0);
+  const before = new Map(gs.units.map(u => [u.id, u]));
+  for (const u of fresh.units) {
+    const old = before.get(u.id);
+    if (!old || old.gx !== u.gx || old.gy !== u.gy) continue;
+    for (const key of ['action', 'target', 'step', 'busy', 'once', 'path', 'pathGoal', 'pathRetries', 'pathWait']) u[key] = old[key];
+  }
+  gs.grid = fresh.grid;
+  gs.resourceAmounts = fresh.resourceAmounts;
+  gs.units = fresh.units;
+  gs.gold = fresh.gold;
+  gs.prodQueue = gs.prodQueue.filter(pq => pq.producer === undefined || fresh.units.some(u => u.id === pq.producer));
+  gs.nextUnitId = Math.max(gs.nextUnitId, fresh.nextUnitId);
+}
+
+function spawnUnit(gs, type, gx, gy, owner) {
+  const def = CONFIG.UNIT_TYPES[type];
+  const unit = {
+    id: gs.nextUnitId++,
+    type, owner,
+    gx, gy,
+    hp: def.hp, maxHp: def.hp,
+    action: 'noop',
+    target: null,
+    step: null,      // unit action in progress: { kind, x, y, target }
+    busy: 0,         // cycles until `step` completes
+    carrying: 0,
+    rally: null,     // building: cell its new units move to
+    once: false,     // go idle after the current step (single MicroRTS action)
+    path: null,      // cached cells to walk (see pathfinding.js)
+    pathGoal: null,
+    pathRetries: 0,  // failed plans toward pathGoal so far
+    pathWait: 0,     // cycle before which a blocked route isn't planned again
+  };
+  gs.units.push(unit);
+  return unit;
+}
+
+function isWalkable(gs, x, y) {
+  if (x < 0 || x >= gs.width || y < 0 || y >= gs.height) return false;
+  if (gs.grid[y][x] !== 0) return false;  // walls and resource patches
+  // A unit moving into a cell reserves it until the move completes, and so
+  // does production into a cell
+  return !gs.units.some(u => (u.gx === x && u.gy === y) ||
+    (u.step && u.step.kind === 'move' && u.step.x === x && u.step.y === y)) &&
+    !gs.prodQueue.some(pq => pq.x === x && pq.y === y);
+}
+
+function closestStockpile(gs, u) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const b of gs.units) {
+    if (b.owner !== u.owner || !CONFIG.UNIT_TYPES[b.type].isStockpile) continue;
+    const d = Math.abs(u.gx - b.gx) + Math.abs(u.gy - b.gy);
+    if (d < bestDist) { bestDist = d; best = b; }
+  }
+  return best;
+}
+
+function isProducing(gs, u) {
+  return gs.prodQueue.some(pq => pq.producer === u.id);
+}
+
+// MicroRTS attack range is Euclidean
+function inAttackRange(u, target, range) {
+  const dx = target.gx - u.gx;
+  const dy = target.gy - u.gy;
+  return dx * dx + dy * dy <= range * range;
+}
+
+// ============================================================
+// RANDOM
+// ============================================================
+// mulberry32 over a { rng } holder. Game-logic randomness draws from the game
+// state itself, so clone() and saved games carry the stream with them; other
+// deterministic consumers (the demo driver) keep their own holder.
+function nextRandom(r) {
+  let t = (r.rng = (r.rng + 0x6D2B79F5) >>> 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomInt(r, n) {
+  return Math.floor(nextRandom(r) * n);
+}
+
+// Fresh seed for a new game when the caller doesn't pick one
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// ============================================================
+// STEP
+// ============================================================
+function stepState(gs, actionsByPlayer) {
+  const events = [];
+  const decided = gameWinner(gs) !== null;
+  // States saved before rewards were per player start their sums over
+  if (!gs.rewards[1]) gs.rewards = playerRewards();
+  gs.stepRewards = playerRewards();
+  gs.cycle++;
+  for (const [owner, orders] of Object.entries(actionsByPlayer)) {
+    for (const order of orders || []) applyOrder(gs, Number(owner), order, events);
+  }
+  processActions(gs, events);
+  processProduction(gs, events);
+  const winner = gameWinner(gs);
+  if (!decided && winner) {
+    addReward(gs, winner, 'winLoss', 1);
+    addReward(gs, 3 - winner, 'winLoss', -1);
+  }
+  return { events };
+}
+
+function applyOrder(gs, owner, order, events) {
+  switch (order.action) {
+    case 'produce':
+      if (order.target === undefined) queueProduction(gs, owner, order.unitType, events, order.unit);
+      else produceFrom(gs, owner, order, events);
+      return;
+    case 'rally': {
+      const b = gs.units.find(x => x.id === order.unit);
+      if (b && b.owner === owner && CONFIG.UNIT_TYPES[b.type].isBuilding) b.rally = order.target ? { x: order.target.x, y: order.target.y } : null;
+      return;
+    }
+    case 'spawn':
+      if (isWalkable(gs, order.x, order.y)) {
+        spawnUnit(gs, order.unitType, order.x, order.y, owner);
+        events.push({ type: 'spawned', unitType: order.unitType, x: order.x, y: order.y, owner });
+      }
+      return;
+    case 'grant':
+      gs.gold[owner] = (gs.gold[owner] ?? 0) + order.amount;
+      return;
+    case 'build':
+      if (!canBuild(gs, owner, order, events)) return;
+      break;
+  }
+  const u = gs.units.find(x => x.id === order.unit);
+  if (!u || u.owner !== owner) return;
+  u.action = order.action;
+  u.target = order.target ?? null;
+  // A build keeps what it builds with the site
+  if (order.action === 'build') u.target = { x: order.target.x, y: order.target.y, unitType: order.unitType };
+  u.once = !!order.once;
+  clearPath(u);
+  if (order.action === 'noop') u.target = null;
+}
+
+// Join a building's production queue: the given one, or else the one with
+// the shortest queue among those whose UTT `produces` list has the type
+function queueProduction(gs, owner, type, events, producerId) {
+  const def = CONFIG.UNIT_TYPES[type];
+  const gold = gs.gold[owner] ?? 0;
+  const reject = reason => events.push({ type: 'produceRejected', owner, unitType: type, reason });
+  if (!def) return reject('No such unit type');
+  if (gold < def.cost) return reject(`Not enough gold for ${type} (need ${def.cost})`);
+  const makes = u => u.owner === owner && CONFIG.UNIT_TYPES[u.type].isBuilding && CONFIG.UNIT_TYPES[u.type].produces.includes(type);
+  const queued = u => gs.prodQueue.filter(pq => pq.producer === u.id).length;
+  let producer = null;
+  if (producerId !== undefined) {
+    producer = gs.units.find(u => u.id === producerId);
+    if (!producer || !makes(producer)) return reject(`${producer?.type ?? 'No such building'} cannot produce ${type}`);
+  } else {
+    for (const u of gs.units) {
+      if (makes(u) && (!producer || queued(u) < queued(producer))) producer = u;
+    }
+  }
+  if (!producer) {
+    const from = def.producedBy.filter(t => CONFIG.UNIT_TYPES[t].isBuilding).join(' or ') || 'building';
+    return reject(`No ${from} to produce ${type}`);
+  }
+  gs.gold[owner] = gold - def.cost;
+  gs.prodQueue.push({
+    unitType: type,
+    owner,
+    producer: producer.id,
+    gx: producer.gx,
+    gy: producer.gy,
+    progress: 0,
+    total: def.produceTime,
+  });
+  rewardProduction(gs, owner, type);
+  events.push({ type: 'produceQueued', owner, unitType: type, cost: def.cost });
+}
+
+// A specific unit produces into a specific neighboring cell, which stays
+// reserved until the new unit appears. The producer is busy meanwhile.
+function produceFrom(gs, owner, order, events) {
+  const u = gs.units.find(x => x.id === order.unit);
+  const def = CONFIG.UNIT_TYPES[order.unitType];
+  const reject = reason => events.push({ type: 'produceRejected', owner, unitType: order.unitType, reason });
+  if (!u || u.owner !== owner || !def) return reject('No such producer');
+  if (!CONFIG.UNIT_TYPES[u.type].produces.includes(order.unitType)) return reject(`${u.type} cannot produce ${order.unitType}`);
+  if (u.busy > 0 || isProducing(gs, u)) return reject(`${u.type} is busy`);
+  const { x, y } = order.target;
+  if (Math.abs(x - u.gx) + Math.abs(y - u.gy) !== 1 || !isWalkable(gs, x, y)) return reject(`Cell (${x},${y}) is not free`);
+  if ((gs.gold[owner] ?? 0) < def.cost) return reject(`Not enough gold for ${order.unitType} (need ${def.cost})`);
+  gs.gold[owner] -= def.cost;
+  endOrder(u);
+  gs.prodQueue.push({
+    unitType: order.unitType,
+    owner,
+    producer: u.id,
+    gx: u.gx,
+    gy: u.gy,
+    x, y,
+    progress: 0,
+    total: def.produceTime,
+  });
+  rewardProduction(gs, owner, order.unitType);
+  events.push({ type: 'produceQueued', owner, unitType: order.unitType, cost: def.cost });
+}
+
+// A build order needs a unit that can produce the building; the site and
+// the gold are checked once the unit gets there
+function canBuild(gs, owner, order, events) {
+  const u = gs.units.find(x => x.id === order.unit);
+  const def = CONFIG.UNIT_TYPES[order.unitType];
+  const reject = reason => {
+    events.push({ type: 'produceRejected', owner, unitType: order.unitType, reason });
+    return false;
+  };
+  if (!u || u.owner !== owner || !def || !order.target) return reject('No such builder');
+  if (!def.isBuilding || !CONFIG.UNIT_TYPES[u.type].produces.includes(order.unitType)) return reject(`${u.type} cannot build ${order.unitType}`);
+  return true;
+}
+
+// Each unit runs one MicroRTS unit action at a time: a move, attack, harvest
+// or return step takes that type's UTT duration and its effect lands when it
+// completes. Between steps the unit's order picks the next one.
+function processActions(gs, events) {
+  for (const u of gs.units) {
+    if (u.hp <= 0) continue;
+    if (u.busy > 0 && --u.busy === 0) completeStep(gs, u, events);
+    if (u.busy === 0 && !isProducing(gs, u)) {
+      beginStep(gs, u, events);
+      if (u.busy > 0) rewardUnitAction(gs, u.owner, u.step.kind);
+    }
+  }
+  gs.units = gs.units.filter(u => u.hp > 0);
+}
+
+function startStep(u, kind, time, step = {}) {
+  u.step = { kind, ...step };
+  u.busy = Math.max(1, time);
+}
+
+function endOrder(u) {
+  u.action = 'noop';
+  u.target = null;
+  clearPath(u);
+}
+
+function beginStep(gs, u, events) {
+  const def = CONFIG.UNIT_TYPES[u.type];
+  if (u.action === 'move' && u.target) {
+    if (u.gx === u.target.x && u.gy === u.target.y) { endOrder(u); return; }
+    const next = nextPathStep(gs, u, u.target.x, u.target.y);
+    if (next) startStep(u, 'move', def.moveTime, next);
+    // No route even after retrying (walled off or the cell stays taken): the move ends
+    else if (!u.path) endOrder(u);
+  }
+  else if (u.action === 'harvest' && u.target) {
+    // Harvest loops: one load from the patch, home to the closest
+    // stockpile, and back until the patch runs out
+    const { x, y } = u.target;
+    if (!def.canHarvest) { endOrder(u); return; }
+    if (u.carrying) {
+      const base = closestStockpile(gs, u);
+      if (!base) { endOrder(u); return; }
+      if (Math.abs(base.gx - u.gx) + Math.abs(base.gy - u.gy) === 1) {
+        startStep(u, 'return', def.returnTime, { x: base.gx, y: base.gy });
+      } else {
+        const next = nextPathStep(gs, u, base.gx, base.gy, 1);
+        if (next) startStep(u, 'move', def.moveTime, next);
+        else if (!u.path) endOrder(u);
+      }
+      return;
+    }
+    if (gs.grid[y]?.[x] !== 2) { endOrder(u); return; }
+    if (Math.abs(x - u.gx) + Math.abs(y - u.gy) === 1) {
+      startStep(u, 'harvest', def.harvestTime, { x, y });
+    } else {
+      const next = nextPathStep(gs, u, x, y, 1);
+      if (next) startStep(u, 'move', def.moveTime, next);
+      else if (!u.path) endOrder(u);
+    }
+  }
+  else if (u.action === 'return' && u.target) {
+    if (Math.abs(u.target.x - u.gx) + Math.abs(u.target.y - u.gy) <= 1) {
+      startStep(u, 'return', def.returnTime, { x: u.target.x, y: u.target.y });
+    } else {
+      const next = nextPathStep(gs, u, u.target.x, u.target.y, 1);
+      if (next) startStep(u, 'move', def.moveTime, next);
+      else if (!u.path) endOrder(u);
+    }
+  }
+  else if (u.action === 'build' && u.target) {
+    // Next to the site it produces the building there and stays busy until
+    // it stands; produceFrom rejects a taken site or missing gold
+    const { x, y, unitType } = u.target;
+    if (Math.abs(x - u.gx) + Math.abs(y - u.gy) <= 1) {
+      endOrder(u);
+      produceFrom(gs, u.owner, { unit: u.id, unitType, target: { x, y } }, events);
+    } else {
+      const next = nextPathStep(gs, u, x, y, 1);
+      if (next) startStep(u, 'move', def.moveTime, next);
+      else if (!u.path) endOrder(u);
+    }
+  }
+  else if (u.action === 'attack' && u.target) {
+    const target = gs.units.find(t => t.id === u.target && t.hp > 0);
+    if (!target || !def.canAttack) { endOrder(u); return; }
+    if (inAttackRange(u, target, def.range)) {
+      startStep(u, 'attack', def.attackTime, { target: target.id });
+    } else {
+      // Approach to within range; re-plans as the target moves
+      const next = nextPathStep(gs, u, target.gx, target.gy, def.range);
+      if (next) startStep(u, 'move', def.moveTime, next);
+      else if (!u.path) endOrder(u);
+    }
+  }
+}
+
+function completeStep(gs, u, events) {
+  const def = CONFIG.UNIT_TYPES[u.type];
+  const step = u.step;
+  u.step = null;
+  if (u.once) endOrder(u);
+  if (step.kind === 'move') {
+    u.gx = step.x;
+    u.gy = step.y;
+    if (u.action === 'move' && u.target && u.gx === u.target.x && u.gy === u.target.y) endOrder(u);
+  }
+  else if (step.kind === 'harvest') {
+    // As in MicroRTS a worker carries one load (its harvestAmount) at a
+    // time, taken out of the patch; an empty patch is gone
+    const { x, y } = step;
+    if (gs.grid[y]?.[x] !== 2 || u.carrying) return;
+    const amount = Math.min(def.harvestAmount, gs.resourceAmounts[y][x]);
+    gs.resourceAmounts[y][x] -= amount;
+    u.carrying = amount;
+    events.push({ type: 'harvest', unit: u.id, x, y });
+    if (gs.resourceAmounts[y][x] <= 0) {
+      gs.grid[y][x] = 0;
+      events.push({ type: 'depleted', x, y });
+    }
+  }
+  else if (step.kind === 'return') {
+    const amount = u.carrying;
+    gs.gold[u.owner] = (gs.gold[u.owner] ?? 0) + amount;
+    u.carrying = 0;
+    if (u.action === 'return') endOrder(u);
+    events.push({ type: 'returned', unit: u.id, owner: u.owner, amount });
+  }
+  else if (step.kind === 'attack') {
+    const target = gs.units.find(t => t.id === step.target && t.hp > 0);
+    if (!target || !inAttackRange(u, target, def.range)) return;
+    // Damage rolls only draw from the game PRNG when the UTT gives a range
+    const damage = def.minDamage + (def.maxDamage > def.minDamage ? randomInt(gs, def.maxDamage - def.minDamage + 1) : 0);
+    target.hp -= damage;
+    if (target.hp <= 0) {
+      events.push({ type: 'killed', unit: u.id, owner: u.owner, unitType: u.type, targetType: target.type, x: target.gx, y: target.gy });
+      endOrder(u);
+    }
+  }
+}
+
+// Each producer works through its own queue, one entry at a time. A
+// finished unit waits in the queue while every spot around the producer is
+// taken, and a dead producer's queue is dropped.
+function processProduction(gs, events) {
+  const heads = new Set();
+  for (let i = gs.prodQueue.length - 1; i >= 0; i--) {
+    const pq = gs.prodQueue[i];
+    if (pq.producer !== undefined && !gs.units.some(u => u.id === pq.producer)) {
+      gs.prodQueue.splice(i, 1);
+      events.push({ type: 'queueChanged' });
+    }
+  }
+  for (const pq of gs.prodQueue) {
+    if (heads.has(pq.producer)) continue;
+    heads.add(pq.producer);
+    pq.progress = Math.min(pq.progress + 1, pq.total);
+  }
+  for (let i = gs.prodQueue.length - 1; i >= 0; i--) {
+    const pq = gs.prodQueue[i];
+    if (pq.progress < pq.total) continue;
+    gs.prodQueue.splice(i, 1);  // also frees a reserved cell
+    // Into the reserved cell, or the first empty spot near the producer
+    const spots = pq.x !== undefined ? [[pq.x, pq.y]] : [
+      [pq.gx + 1, pq.gy], [pq.gx - 1, pq.gy],
+      [pq.gx, pq.gy + 1], [pq.gx, pq.gy - 1],
+      [pq.gx + 1, pq.gy + 1], [pq.gx - 1, pq.gy - 1],
+    ];
+    const spot = spots.find(([x, y]) => isWalkable(gs, x, y));
+    if (!spot) {
+      gs.prodQueue.splice(i, 0, pq);
+      continue;
+    }
+    const unit = spawnUnit(gs, pq.unitType, spot[0], spot[1], pq.owner);
+    const rally = gs.units.find(b => b.id === pq.producer)?.rally;
+    if (rally && !CONFIG.UNIT_TYPES[pq.unitType].isBuilding) {
+      unit.action = 'move';
+      unit.target = { x: rally.x, y: rally.y };
+    }
+    events.push({ type: 'produced', unitType: pq.unitType, x: spot[0], y: spot[1], owner: pq.owner });
+    events.push({ type: 'queueChanged' });
+  }
+}
+
+// ============================================================
+// REWARDS
+// ============================================================
+// The six gym-microrts reward functions, in the vec env's order, for each
+// player: ResourceGather scores every harvest and return action a player's
+// units start, Attack every attack, ProduceWorker, ProduceBuilding and
+// ProduceCombatUnit every production of that kind; WinLoss is +1 to the
+// winner and -1 to the loser on the step a player is eliminated.
+const REWARD_KEYS = ['winLoss', 'resources', 'workers', 'buildings', 'attack', 'combat'];
+
+function addReward(gs, owner, key, amount) {
+  gs.stepRewards[owner][key] += amount;
+  gs.rewards[owner][key] += amount;
+}
+
+function rewardUnitAction(gs, owner, kind) {
+  if (kind === 'harvest' || kind === 'return') addReward(gs, owner, 'resources', 1);
+  else if (kind === 'attack') addReward(gs, owner, 'attack', 1);
+}
+
+function rewardProduction(gs, owner, type) {
+  const def = CONFIG.UNIT_TYPES[type];
+  if (type === 'worker') addReward(gs, owner, 'workers', 1);
+  else if (def.isBuilding) addReward(gs, owner, 'buildings', 1);
+  else if (def.canAttack) addReward(gs, owner, 'combat', 1);
+}
+
+// Weighted sum of reward components, as the env returns it
+function weightedReward(rewards, weights) {
+  return REWARD_KEYS.reduce((sum, k) => sum + rewards[k] * weights[k], 0);
+}
+
+// ============================================================
+// VISIBILITY
+// ============================================================
+// Cells `owner` sees, a row-major flag per cell: within each unit's sight,
+// a Euclidean radius like MicroRTS. On maps with lineOfSight set, walls also
+// block sight (see castSight).
+function visibleCells(gs, owner) {
+  const seen = new Uint8Array(gs.width * gs.height);
+  for (const u of gs.units) {
+    if (u.owner !== owner) continue;
+    const range = CONFIG.UNIT_TYPES[u.type].sight;
+    if (gs.lineOfSight) {
+      castSight(gs, u.gx, u.gy, range, seen);
+      continue;
+    }
+    for (let dy = -range; dy <= range; dy++) {
+      for (let dx = -range; dx <= range; dx++) {
+        const x = u.gx + dx;
+        const y = u.gy + dy;
+        if (dx * dx + dy * dy > range * range || x < 0 || x >= gs.width || y < 0 || y >= gs.height) continue;
+        seen[y * gs.width + x] = 1;
+      }
+    }
+  }
+  return seen;
+}
+
+// [xx, xy, yx, yy] transforms mapping the first octant onto each of the eight
+const SIGHT_OCTANTS = [
+  [1, 0, 0, 1], [0, 1, 1, 0], [0, -1, 1, 0], [-1, 0, 0, 1],
+  [-1, 0, 0, -1], [0, -1, -1, 0], [0, 1, -1, 0], [1, 0, 0, -1],
+];
+
+// Mark what a unit at (ox, oy) sees within `radius` when walls block sight,
+// by recursive shadowcasting: walls themselves are seen, the cells behind
+// them aren't. The map edge blocks like a wall.
+function castSight(gs, ox, oy, radius, seen) {
+  seen[oy * gs.width + ox] = 1;
+  for (const octant of SIGHT_OCTANTS) castOctant(gs, ox, oy, radius, 1, 1, 0, octant, seen);
+}
+
+// Scan rows `row`..radius of one octant between slopes `start` and `end`,
+// recursing past each run of walls with the slopes it leaves open
+function castOctant(gs, ox, oy, radius, row, start, end, [xx, xy, yx, yy], seen) {
+  if (start < end) return;
+  let nextStart = start;
+  for (let j = row; j <= radius; j++) {
+    let blocked = false;
+    for (let dx = -j, dy = -j; dx <= 0; dx++) {
+      const left = (dx - 0.5) / (dy + 0.5);
+      const right = (dx + 0.5) / (dy - 0.5);
+      if (start < right) continue;
+      if (end > left) break;
+      const x = ox + dx * xx + dy * xy;
+      const y = oy + dx * yx + dy * yy;
+      const inside = x >= 0 && x < gs.width && y >= 0 && y < gs.height;
+      if (inside && dx * dx + dy * dy <= radius * radius) seen[y * gs.width + x] = 1;
+      const wall = !inside || gs.grid[y][x] === 1;
+      if (blocked) {
+        if (wall) nextStart = right;
+        else {
+          blocked = false;
+          start = nextStart;
+        }
+      } else if (wall && j < radius) {
+        blocked = true;
+        castOctant(gs, ox, oy, radius, j + 1, start, left, [xx, xy, yx, yy], seen);
+        nextStart = right;
+      }
+    }
+    if (blocked) break;
+  }
+}
+
+// What `owner` knows of `gs` under partial observability, like MicroRTS's
+// PartiallyObservableGameState: the same state without the other player's
+// units and production its units can't see, plus `visible` from
+// visibleCells(). Terrain and resource cells stay known everywhere.
+function playerView(gs, owner) {
+  const seen = visibleCells(gs, owner);
+  const sees = (x, y) => seen[y * gs.width + x] === 1;
+  const units = gs.units.filter(u => u.owner === owner || sees(u.gx, u.gy));
+  const ids = new Set(units.map(u => u.id));
+  return {
+    ...gs,
+    units,
+    prodQueue: gs.prodQueue.filter(pq => pq.owner === owner || (pq.x !== undefined ? sees(pq.x, pq.y) : ids.has(pq.producer))),
+    visible: seen,
+  };
+}
+
+// ============================================================
+// GAME OVER
+// ============================================================
+// As in MicroRTS, a player with no units left has lost: the winning owner,
+// 0 when neither has units, or null while both play on
+function gameWinner(gs) {
+  const alive = owner => gs.units.some(u => u.owner === owner);
+  if (alive(1) && alive(2)) return null;
+  return alive(1) ? 1 : alive(2) ? 2 : 0;
+}
+
+// The same, with a game still undecided at `maxCycles` a draw, like the
+// env's max_steps
+function gameResult(gs, maxCycles = Infinity) {
+  const winner = gameWinner(gs);
+  if (winner !== null) return winner;
+  return gs.cycle >= maxCycles ? 0 : null;
+}
+
+// ============================================================
+// BUILT-IN AI
+// ============================================================
+// Attack anything within 8 tiles, otherwise wander. Returns orders for `owner`.
+// Wandering draws from botRandom() (see bots.js), never the game PRNG, so a
+// seed and the recorded orders replay the game.
+function simpleAI(gs, owner) {
+  const orders = [];
+  if (gs.cycle % 5 !== 0) return orders;
+  const rnd = botRandom(gs, owner);
+  for (const u of gs.units) {
+    if (u.owner !== owner || u.action !== 'noop') continue;
+    const def = CONFIG.UNIT_TYPES[u.type];
+    if (def.isBuilding) continue;
+
+    // Find nearest enemy unit
+    let nearest = null, minDist = Infinity;
+    for (const t of gs.units) {
+      if (t.owner === owner) continue;
+      const d = Math.abs(t.gx - u.gx) + Math.abs(t.gy - u.gy);
+      if (d < minDist) { minDist = d; nearest = t; }
+    }
+
+    if (nearest && minDist <= 8) {
+      orders.push({ unit: u.id, action: 'attack', target: nearest.id });
+    } else if (nextRandom(rnd) < 0.1) {
+      // Random patrol
+      orders.push({
+        unit: u.id,
+        action: 'move',
+        target: {
+          x: Math.max(0, Math.min(gs.width - 1, u.gx + randomInt(rnd, 5) - 2)),
+          y: Math.max(0, Math.min(gs.height - 1, u.gy + randomInt(rnd, 5) - 2)),
+        },
+      });
+    }
+  }
+  return orders;
+}
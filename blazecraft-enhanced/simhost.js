@@ -0,0 +1,85 @@
+/**
+ * BlazeCraft Enhanced Simulation Host
+ * Steps the live game on its own timer and talks to the page only through
+ * messages, so the same host runs in a Web Worker (sim-worker.js) or, where
+ * workers aren't available, on the page. DOM-free.
+ *
+ * Messages to the host:
+ *   { type: 'start', gen, state, utt, bots, maxCycles }  adopt a game state and step it every CONFIG.TICK_MS
+ *   { type: 'stop' }                         stop stepping
+ *   { type: 'limit', maxCycles }             cycle at which an undecided game ends in a draw
+ *   { type: 'bots', bots }                   owner -> bot id (see bots.js) that adds orders each step
+ *   { type: 'orders', owner, orders }        queue orders for the next step
+ *   { type: 'orders', owner, orders, replace: true }  the owner's only orders next step
+ * Messages from the host, one per step:
+ *   { type: 'tick', gen, state, orders, events, result }  the state after the step and what went
+ *                                            into it; result is gameResult() and the host stops once
+ *                                            it isn't null
+ */
+
+function createSimHost(post) {
+  let game = null;
+  let gen = 0;
+  let timer = null;
+  let bots = {};
+  let maxCycles = Infinity;
+  let queued = { 1: [], 2: [] };
+  let replaced = {};
+
+  function tick() {
+    const gs = game.state;
+    const orders = {};
+    for (const owner of [1, 2]) {
+      orders[owner] = queued[owner].splice(0);
+      const bot = findBot(bots[owner]);
+      if (bot) orders[owner] = orders[owner].concat(playBot(bot, gs, owner));
+      if (replaced[owner]) orders[owner] = replaced[owner];
+    }
+    replaced = {};
+    const { events } = game.step(orders);
+    const result = gameResult(game.state, maxCycles);
+    if (result !== null) stop();
+    post({ type: 'tick', gen, state: game.state, orders, events, result });
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    receive(msg) {
+      switch (msg.type) {
+        case 'start':
+          stop();
+          applyUTT(msg.utt.utt, msg.utt.name);
+          game = createGame();
+          game.state = msg.state;
+          gen = msg.gen;
+          bots = msg.bots;
+          maxCycles = msg.maxCycles ?? Infinity;
+          queued = { 1: [], 2: [] };
+          replaced = {};
+          timer = setInterval(tick, CONFIG.TICK_MS);
+          break;
+        case 'stop':
+          stop();
+          break;
+        case 'bots':
+          bots = msg.bots;
+          break;
+        case 'limit':
+          maxCycles = msg.maxCycles;
+          break;
+        case 'orders':
+          if (msg.replace) replaced[msg.owner] = msg.orders;
+          else queued[msg.owner].push(...msg.orders);
+          break;
+      }
+    },
+    // Step once now, for callers that drive the host themselves
+    tick() {
+      if (game) tick();
+    },
+  };
+}
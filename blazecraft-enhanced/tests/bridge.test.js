@@ -0,0 +1,69 @@
+/**
+ * Bridge message tests: node --test blazecraft-enhanced/tests/
+ * The bridge shows the GameState JSON a MicroRTS process sends.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePGSJSON, stateFromGameStateJSON } = require('../headless.js');
+
+const plain = x => JSON.parse(JSON.stringify(x));
+
+// What rts.GameState.toJSON() writes for a small game at cycle 30
+const GS = {
+  time: 30,
+  pgs: {
+    width: 4,
+    height: 4,
+    terrain: '0000000000010000',
+    players: [{ ID: 1, resources: 7 }, { ID: 0, resources: 2 }],
+    units: [
+      { type: 'Resource', ID: 1, player: -1, x: 3, y: 0, resources: 12, hitpoints: 1 },
+      { type: 'Base', ID: 2, player: 0, x: 0, y: 0, resources: 0, hitpoints: 10 },
+      { type: 'Worker', ID: 3, player: 0, x: 2, y: 0, resources: 0, hitpoints: 1 },
+      { type: 'Light', ID: 4, player: 1, x: 1, y: 3, resources: 0, hitpoints: 4 },
+      { type: 'Worker', ID: 5, player: 1, x: 2, y: 3, resources: 0, hitpoints: 1 },
+    ],
+  },
+  actions: [
+    { ID: 3, time: 25, action: { type: 2, parameter: 1 } },                       // harvesting right
+    { ID: 2, time: 10, action: { type: 4, parameter: 2, unitType: 'Worker' } },  // producing down
+    { ID: 4, time: 28, action: { type: 5, x: 2, y: 3 } },                        // attacking (2,3)
+  ],
+};
+
+test('a pgs document parses like a map file', () => {
+  const map = plain(parsePGSJSON(GS.pgs, 'bridge'));
+  assert.deepStrictEqual([map.name, map.width, map.height], ['bridge', 4, 4]);
+  assert.strictEqual(map.terrain[2][3], 1);
+  assert.deepStrictEqual(map.players, [{ id: 0, resources: 2 }, { id: 1, resources: 7 }]);
+  assert.deepStrictEqual(map.units[0], { type: 'resource', id: 1, player: -1, x: 3, y: 0, resources: 12, hitpoints: 1 });
+});
+
+test('malformed pgs documents are rejected with the reason', () => {
+  const pgs = edit => ({ ...GS.pgs, ...edit });
+  const cases = [
+    [undefined, /missing "pgs"/],
+    [pgs({ width: 'wide' }), /pgs is missing a numeric "width"/],
+    [pgs({ height: -1 }), /Invalid map size 4x-1/],
+    [pgs({ terrain: '000' }), /Terrain has 3 cells, expected 16/],
+    [pgs({ players: [{ ID: 0 }] }), /player is missing a numeric "resources"/],
+    [pgs({ units: [{ type: 'Tank', ID: 1, player: 0, x: 0, y: 0, hitpoints: 1 }] }), /Unknown unit type "Tank"/],
+    [pgs({ units: [{ type: 'Worker', ID: 1, player: 0, x: 4, y: 0, hitpoints: 1 }] }), /outside the map/],
+  ];
+  for (const [doc, error] of cases) assert.throws(() => parsePGSJSON(doc), error);
+});
+
+test('actions in progress carry on with the cycles they have left', () => {
+  const gs = stateFromGameStateJSON(GS, 'bridge');
+  const unit = id => gs.units.find(u => u.id === id);
+  assert.strictEqual(gs.cycle, 30);
+  assert.deepStrictEqual(plain(gs.gold), { 1: 2, 2: 7 });
+  // Harvest takes 20 cycles, 5 of them done
+  assert.deepStrictEqual([unit(3).action, unit(3).step.kind, unit(3).busy], ['harvest', 'harvest', 15]);
+  assert.deepStrictEqual(plain(unit(3).target), { x: 3, y: 0 });
+  // Attack takes 5 cycles, 2 of them done, on the worker at (2,3)
+  assert.deepStrictEqual([unit(4).action, unit(4).target, unit(4).busy], ['attack', 5, 3]);
+  // The base's worker is 20 cycles in, into the cell below it
+  assert.deepStrictEqual(plain(gs.prodQueue), [{ unitType: 'worker', owner: 1, producer: 2, gx: 0, gy: 0, x: 0, y: 1, progress: 20, total: 50 }]);
+});
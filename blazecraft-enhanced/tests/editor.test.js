@@ -0,0 +1,79 @@
+/**
+ * Map editor tests: node --test blazecraft-enhanced/tests/
+ * The editor drives the page, so it runs here next to the DOM-free scripts
+ * with the few page functions it calls standing in for engine.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadEditor() {
+  const context = vm.createContext({ console });
+  for (const file of ['config.js', 'maps.js', 'utt.js', 'pathfinding.js', 'sim.js', 'editor.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  const page = {
+    state: { demoMode: true, fogEnabled: true, map: null },
+    applied: [],
+    $: () => null,
+    log() {},
+    updateFog() {},
+    toggleDemo() { page.state.demoMode = !page.state.demoMode; },
+    snapshotMap: () => vm.runInContext('parseMapXML(DEFAULT_MAP_XML, "edited")', context),
+    applyMap(map) { page.state.map = map; page.applied.push(map); },
+  };
+  Object.assign(context, page);
+  return { page: context, editor: vm.runInContext('editor', context), run: src => vm.runInContext(src, context) };
+}
+
+test('the editor stops the demo and brings it back on exit', () => {
+  const { page, run } = loadEditor();
+  run('enterEditor()');
+  assert.strictEqual(page.state.demoMode, false);
+  assert.strictEqual(page.state.fogEnabled, false);
+  run('exitEditor()');
+  assert.strictEqual(page.state.demoMode, true);
+  assert.strictEqual(page.state.fogEnabled, true);
+
+  // A demo that was off stays off
+  page.state.demoMode = false;
+  run('enterEditor(); exitEditor()');
+  assert.strictEqual(page.state.demoMode, false);
+});
+
+test('the board gets a copy of the edited map', () => {
+  const { page, editor, run } = loadEditor();
+  run('enterEditor()');
+  const board = page.state.map;
+  assert.notStrictEqual(board, editor.doc);
+  run('editorCommit(doc => { doc.terrain[0][0] = 1; })');
+  assert.strictEqual(board.terrain[0][0], 0, 'the earlier board is untouched');
+  assert.strictEqual(page.state.map.terrain[0][0], 1);
+  assert.notStrictEqual(page.state.map, editor.doc);
+});
+
+test('painting mirrors under symmetry, with players swapped', () => {
+  const { page, editor, run } = loadEditor();
+  run('enterEditor()');
+  editor.symmetry = 'rotate';
+  editor.tool = 'barracks';
+  editor.player = 0;
+  run('editorBeginStroke(false); editorStrokeTo(3, 4); editorEndStroke()');
+  const placed = page.state.map.units.filter(u => u.type === 'barracks').map(u => [u.x, u.y, u.player]);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(placed)), [[3, 4, 0], [12, 11, 1]]);
+  run('editorUndo()');
+  assert.strictEqual(page.state.map.units.some(u => u.type === 'barracks'), false);
+  run('editorRedo()');
+  assert.strictEqual(page.state.map.units.filter(u => u.type === 'barracks').length, 2);
+});
+
+test('resizing keeps what fits and clamps the size', () => {
+  const { page, run } = loadEditor();
+  run('enterEditor(); editorResize(8, 2)');
+  assert.deepStrictEqual([page.state.map.width, page.state.map.height], [8, 4]);
+  assert.ok(page.state.map.units.every(u => u.x < 8 && u.y < 4));
+  assert.strictEqual(page.state.map.terrain.length, 4);
+});
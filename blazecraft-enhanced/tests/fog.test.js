@@ -0,0 +1,109 @@
+/**
+ * Fog of war tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  CONFIG, createGame, visibleCells, playerView, playBot, parseMapXML, serializeMapXML, mapFromState,
+} = require('../headless.js');
+
+// A 9x9 board. Player 0's worker 1 at (1,4) sees 3 cells around it; of
+// player 1's units, worker 2 at (4,4) and base 5 at (2,6) are in that
+// circle, light 3 at (7,4) and base 4 at (8,8) are not. `walls` puts wall
+// cells at the given [x, y].
+function board({ walls = [], lineOfSight = false } = {}) {
+  const unit = (type, id, player, x, y, hitpoints) => ({ type, id, player, x, y, resources: 0, hitpoints });
+  const terrain = Array.from({ length: 9 }, () => Array(9).fill(0));
+  for (const [x, y] of walls) terrain[y][x] = 1;
+  return {
+    name: 'fog', width: 9, height: 9, terrain,
+    players: [{ id: 0, resources: 0 }, { id: 1, resources: 20 }],
+    units: [
+      unit('worker', 1, 0, 1, 4, 1), unit('worker', 2, 1, 4, 4, 1), unit('light', 3, 1, 7, 4, 4),
+      unit('base', 4, 1, 8, 8, 10), unit('base', 5, 1, 2, 6, 10),
+    ],
+    lineOfSight,
+  };
+}
+
+const plain = x => JSON.parse(JSON.stringify(x));
+const seesCell = (seen, x, y) => seen[y * 9 + x] === 1;
+
+test('a unit sees every cell within its sight radius', () => {
+  const gs = createGame(board(), 1).state;
+  const seen = visibleCells(gs, 1);
+  assert.strictEqual(CONFIG.UNIT_TYPES.worker.sight, 3);
+  assert.ok(seesCell(seen, 4, 4) && seesCell(seen, 3, 6) && seesCell(seen, 1, 1));
+  assert.ok(!seesCell(seen, 4, 5) && !seesCell(seen, 5, 4) && !seesCell(seen, 3, 7));
+  // The 29 cells of a radius-3 circle, less the six past the map's left edge
+  assert.strictEqual(seen.reduce((n, f) => n + f, 0), 23);
+});
+
+test('each player sees from its own units only', () => {
+  const gs = createGame(board(), 1).state;
+  const theirs = visibleCells(gs, 2);
+  assert.ok(seesCell(theirs, 1, 4) && seesCell(theirs, 8, 4) && seesCell(theirs, 8, 8));
+  assert.ok(!seesCell(theirs, 0, 0));
+});
+
+test('a player\'s view hides the enemy units and production it cannot see', () => {
+  const game = createGame(board(), 1);
+  game.step({ 2: [
+    { unit: 4, action: 'produce', unitType: 'worker', target: { x: 8, y: 7 } },
+    { unit: 5, action: 'produce', unitType: 'worker', target: { x: 3, y: 6 } },
+  ] });
+  const gs = game.state;
+  const view = playerView(gs, 1);
+  assert.deepStrictEqual(plain(view.units.map(u => u.id)), [1, 2, 5]);
+  assert.deepStrictEqual(plain(view.prodQueue.map(pq => pq.producer)), [5]);
+  assert.deepStrictEqual([...view.visible], [...visibleCells(gs, 1)]);
+  // The game itself and the enemy's own view are untouched
+  assert.strictEqual(gs.units.length, 5);
+  assert.deepStrictEqual(plain(playerView(gs, 2).prodQueue.map(pq => pq.producer)), [4, 5]);
+});
+
+test('bots play on their player\'s view under partial observability', () => {
+  const gs = createGame(board(), 1).state;
+  const seen = [];
+  const spy = { id: 'spy', play: view => { seen.push(view.units.map(u => u.id)); return []; } };
+  playBot(spy, gs, 1);
+  CONFIG.PARTIAL_OBS = false;
+  try {
+    playBot(spy, gs, 1);
+  } finally {
+    CONFIG.PARTIAL_OBS = true;
+  }
+  assert.deepStrictEqual(plain(seen), [[1, 2, 5], [1, 2, 3, 4, 5]]);
+});
+
+// A wall just east of worker 1, between it and worker 2
+const WALL = [[2, 3], [2, 4], [2, 5]];
+
+test('walls block sight only on line-of-sight maps', () => {
+  const open = visibleCells(createGame(board({ walls: WALL }), 1).state, 1);
+  assert.ok(seesCell(open, 3, 4) && seesCell(open, 4, 4));
+  const los = visibleCells(createGame(board({ walls: WALL, lineOfSight: true }), 1).state, 1);
+  // The wall itself is seen, the cells behind it aren't, the rest as before
+  assert.ok(seesCell(los, 2, 4) && seesCell(los, 2, 3));
+  assert.ok(!seesCell(los, 3, 4) && !seesCell(los, 4, 4));
+  assert.ok(seesCell(los, 0, 4) && seesCell(los, 1, 1) && seesCell(los, 1, 7));
+});
+
+test('units behind a wall drop out of the player\'s view', () => {
+  const gs = createGame(board({ walls: WALL, lineOfSight: true }), 1).state;
+  assert.ok(!plain(playerView(gs, 1).units.map(u => u.id)).includes(2));
+  gs.lineOfSight = false;
+  assert.ok(plain(playerView(gs, 1).units.map(u => u.id)).includes(2));
+});
+
+test('line of sight survives map XML and saved states', () => {
+  const map = board({ walls: WALL, lineOfSight: true });
+  const xml = serializeMapXML(map);
+  assert.match(xml, /^<rts\.PhysicalGameState width="9" height="9" lineOfSight="true">/);
+  assert.strictEqual(parseMapXML(xml).lineOfSight, true);
+  const gs = createGame(parseMapXML(xml), 1).state;
+  assert.strictEqual(gs.lineOfSight, true);
+  assert.strictEqual(mapFromState(gs).lineOfSight, true);
+  assert.strictEqual(parseMapXML(serializeMapXML(board())).lineOfSight, false);
+});
@@ -0,0 +1,82 @@
+/**
+ * Game over tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, gameWinner, gameResult, findBot, createTournament, advanceTournament } = require('../headless.js');
+
+const plain = x => JSON.parse(JSON.stringify(x));
+
+// A 6x1 corridor: player 0's light (id 1) next to player 1's worker (id 2)
+// and, unless `lone`, player 1's base (id 3) at the far end
+function corridor(lone = false) {
+  const units = [
+    { type: 'light', id: 1, player: 0, x: 0, y: 0, resources: 0, hitpoints: 4 },
+    { type: 'worker', id: 2, player: 1, x: 1, y: 0, resources: 0, hitpoints: 1 },
+  ];
+  if (!lone) units.push({ type: 'base', id: 3, player: 1, x: 5, y: 0, resources: 0, hitpoints: 10 });
+  return {
+    name: 'corridor', width: 6, height: 1, terrain: [[0, 0, 0, 0, 0, 0]],
+    players: [{ id: 0, resources: 0 }, { id: 1, resources: 0 }], units, lineOfSight: false,
+  };
+}
+
+// Step with the light attacking the worker until the worker dies
+function killWorker(game) {
+  let step = game.step({ 1: [{ unit: 1, action: 'attack', target: 2 }] });
+  while (game.state.units.some(u => u.id === 2)) step = game.step({});
+  return step;
+}
+
+test('a player with no units left has lost', () => {
+  const game = createGame(corridor(true), 1);
+  assert.strictEqual(gameWinner(game.state), null);
+  killWorker(game);
+  assert.strictEqual(gameWinner(game.state), 1);
+  assert.strictEqual(gameResult(game.state), 1);
+});
+
+test('a player with buildings left plays on', () => {
+  const game = createGame(corridor(), 1);
+  killWorker(game);
+  assert.strictEqual(gameWinner(game.state), null);
+});
+
+test('the win/loss reward is paid once, on the step a player is eliminated', () => {
+  const game = createGame(corridor(true), 1);
+  killWorker(game);
+  assert.deepStrictEqual([game.state.stepRewards[1].winLoss, game.state.stepRewards[2].winLoss], [1, -1]);
+  game.step({});
+  assert.deepStrictEqual([game.state.stepRewards[1].winLoss, game.state.stepRewards[2].winLoss], [0, 0]);
+  assert.deepStrictEqual([game.state.rewards[1].winLoss, game.state.rewards[2].winLoss], [1, -1]);
+});
+
+test('no units on either side is a draw', () => {
+  const gs = plain(createGame(corridor(true), 1).state);
+  gs.units = [];
+  assert.strictEqual(gameWinner(gs), 0);
+});
+
+test('a game still undecided at the cycle limit is a draw', () => {
+  const game = createGame(corridor(), 1);
+  for (let i = 0; i < 9; i++) game.step({});
+  assert.strictEqual(gameResult(game.state, 10), null);
+  game.step({});
+  assert.strictEqual(gameResult(game.state, 10), 0);
+  // An elimination decides the game even past the limit
+  killWorker(game);
+  game.state.units = game.state.units.filter(u => u.id !== 3);
+  assert.strictEqual(gameResult(game.state, 10), 1);
+});
+
+test('tournament matches end on elimination or as a draw at the cycle limit', () => {
+  const idle = findBot('passiveAI');
+  const striker = { id: 'striker', play: gs => (gs.cycle === 0 ? [{ unit: 1, action: 'attack', target: 2 }] : []) };
+  const t = createTournament({ agents: [striker, idle], maps: [corridor(true), corridor()], maxCycles: 40 });
+  assert.strictEqual(advanceTournament(t, 1000), true);
+  const results = t.results.map(r => [r.map, r.winner, r.cycles]);
+  assert.strictEqual(results[0][1], 1);
+  assert.ok(results[0][2] < 40);
+  assert.deepStrictEqual(results[1].slice(1), [0, 40]);
+});
@@ -0,0 +1,155 @@
+/**
+ * Gridnet action tensor tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createGame, parseMapXML, gridnetToOrders, actionMasks, GRIDNET_MASK_OFFSETS, GRIDNET_MASK_SIZE,
+} = require('../headless.js');
+
+// Player 0 (owner 1): base (1,1), workers 2 (2,1) and 3 (1,2) next to the
+// resource at (3,1), light 4 (4,4). Player 1 (owner 2): worker 5 (5,4)
+// next to the light, base 6 (6,6).
+const MAP = parseMapXML(`<rts.PhysicalGameState width="8" height="8">
+  <terrain>${'0'.repeat(64)}</terrain>
+  <players><rts.Player ID="0" resources="5"/><rts.Player ID="1" resources="5"/></players>
+  <units>
+    <rts.units.Unit type="Resource" ID="1" player="-1" x="3" y="1" resources="10" hitpoints="1"/>
+    <rts.units.Unit type="Base" ID="7" player="0" x="1" y="1" resources="0" hitpoints="10"/>
+    <rts.units.Unit type="Worker" ID="2" player="0" x="2" y="1" resources="0" hitpoints="1"/>
+    <rts.units.Unit type="Worker" ID="3" player="0" x="1" y="2" resources="0" hitpoints="1"/>
+    <rts.units.Unit type="Light" ID="4" player="0" x="4" y="4" resources="0" hitpoints="4"/>
+    <rts.units.Unit type="Worker" ID="5" player="1" x="5" y="4" resources="0" hitpoints="1"/>
+    <rts.units.Unit type="Base" ID="6" player="1" x="6" y="6" resources="0" hitpoints="10"/>
+  </units>
+</rts.PhysicalGameState>`, 'gridnet');
+
+// A flat H * W * 7 tensor with the given cells' action vectors
+function tensor(cells) {
+  const actions = new Int32Array(8 * 8 * 7);
+  for (const [x, y, vector] of cells) actions.set(vector, (y * 8 + x) * 7);
+  return actions;
+}
+
+const plain = x => JSON.parse(JSON.stringify(x));
+const unit = (game, id) => game.state.units.find(u => u.id === id);
+
+test('each action type becomes its order, read from its own components', () => {
+  const game = createGame(MAP, 1);
+  const { orders, rejected } = gridnetToOrders(game.state, 1, tensor([
+    [1, 1, [4, 0, 0, 0, 0, 3, 0]],   // base produces a Worker (type ID 3) up
+    [2, 1, [2, 3, 1, 3, 3, 0, 0]],   // harvest right; the other directions are ignored
+    [1, 2, [1, 2, 0, 0, 0, 0, 0]],   // move down
+    [4, 4, [5, 0, 0, 0, 0, 0, 25]],  // attack (+1, 0): row 3, column 4 of the 7x7 square
+  ]));
+  assert.deepStrictEqual(plain(rejected), []);
+  assert.deepStrictEqual(plain(orders), [
+    { unit: 7, action: 'produce', unitType: 'worker', target: { x: 1, y: 0 } },
+    { unit: 2, action: 'harvest', target: { x: 3, y: 1 }, once: true },
+    { unit: 3, action: 'move', target: { x: 1, y: 3 }, once: true },
+    { unit: 4, action: 'attack', target: 5, once: true },
+  ]);
+  game.step({ 1: orders });
+  assert.strictEqual(unit(game, 3).step.kind, 'move');
+  assert.strictEqual(unit(game, 4).action, 'attack');
+  assert.strictEqual(game.state.gold[1], 4);
+});
+
+test('the nested [y][x][7] form reads the same as the flat one', () => {
+  const game = createGame(MAP, 1);
+  const nested = Array.from({ length: 8 }, () => Array.from({ length: 8 }, () => [0, 0, 0, 0, 0, 0, 0]));
+  nested[2][1] = [1, 2, 0, 0, 0, 0, 0];
+  assert.deepStrictEqual(plain(gridnetToOrders(game.state, 1, nested)),
+    plain(gridnetToOrders(game.state, 1, tensor([[1, 2, [1, 2, 0, 0, 0, 0, 0]]]))));
+  assert.throws(() => gridnetToOrders(game.state, 1, new Int32Array(7)), /8x8x7/);
+});
+
+test('illegal actions are dropped with a reason', () => {
+  const game = createGame(MAP, 1);
+  const { orders, rejected } = gridnetToOrders(game.state, 1, tensor([
+    [1, 1, [1, 0, 0, 0, 0, 0, 0]],   // a base can't move
+    [2, 1, [3, 0, 0, 0, 0, 0, 0]],   // nothing to return
+    [1, 2, [2, 0, 1, 0, 0, 0, 0]],   // no resource to the right
+    [4, 4, [5, 0, 0, 0, 0, 0, 40]],  // the base at (+2, +2) is beyond a light's range 1
+    [3, 3, [1, 1, 0, 0, 0, 0, 0]],   // empty cell: skipped, not rejected
+  ]));
+  assert.deepStrictEqual(plain(orders), []);
+  assert.deepStrictEqual(plain(rejected).map(r => [r.unit, r.action, r.reason]), [
+    [7, 'move', 'base cannot move'],
+    [2, 'return', 'not carrying'],
+    [3, 'harvest', 'no resource there'],
+    [4, 'attack', 'target out of range'],
+  ]);
+});
+
+test('enemy units and busy units take no orders', () => {
+  const game = createGame(MAP, 1);
+  // The enemy worker's cell is skipped outright
+  assert.deepStrictEqual(plain(gridnetToOrders(game.state, 1, tensor([[5, 4, [1, 0, 0, 0, 0, 0, 0]]]))), { orders: [], rejected: [] });
+  game.step({ 1: gridnetToOrders(game.state, 1, tensor([[1, 2, [1, 2, 0, 0, 0, 0, 0]]])).orders });
+  const { orders, rejected } = gridnetToOrders(game.state, 1, tensor([[1, 2, [1, 1, 0, 0, 0, 0, 0]]]));
+  assert.deepStrictEqual(plain(orders), []);
+  assert.deepStrictEqual(plain(rejected), [{ x: 1, y: 2, unit: 3, action: 'move', reason: 'unit is busy' }]);
+});
+
+test('the first action in row-major order claims a cell', () => {
+  const game = createGame(MAP, 1);
+  const { orders, rejected } = gridnetToOrders(game.state, 1, tensor([
+    [2, 1, [1, 2, 0, 0, 0, 0, 0]],   // (2,1) moves down into (2,2)
+    [1, 2, [1, 1, 0, 0, 0, 0, 0]],   // (1,2) moves right into (2,2) too
+  ]));
+  assert.deepStrictEqual(plain(orders).map(o => o.unit), [2]);
+  assert.deepStrictEqual(plain(rejected).map(r => [r.unit, r.reason]), [[3, 'cell is not free']]);
+});
+
+// The set flags of cell (x, y)'s mask, as component + index, e.g. 'move1'
+function maskFlags(masks, x, y) {
+  const at = (y * 8 + x) * GRIDNET_MASK_SIZE;
+  const starts = Object.entries(GRIDNET_MASK_OFFSETS).sort((a, b) => a[1] - b[1]);
+  const flags = [];
+  for (let i = 0; i < GRIDNET_MASK_SIZE; i++) {
+    if (!masks.data[at + i]) continue;
+    const [name, start] = starts.filter(([, s]) => s <= i).pop();
+    flags.push(`${name}${i - start}`);
+  }
+  return flags;
+}
+
+test('the mask has the vec env\'s 78-flag layout', () => {
+  assert.strictEqual(GRIDNET_MASK_SIZE, 6 + 4 + 4 + 4 + 4 + 7 + 49);
+  assert.deepStrictEqual(plain(GRIDNET_MASK_OFFSETS), { type: 0, move: 6, harvest: 10, return: 14, produceDir: 18, produceType: 22, attack: 29 });
+  const masks = actionMasks(createGame(MAP, 1).state, 1);
+  assert.deepStrictEqual([...masks.shape], [8, 8, 78]);
+  assert.deepStrictEqual([...masks.units].flatMap((on, i) => (on ? [i] : [])), [1 * 8 + 1, 1 * 8 + 2, 2 * 8 + 1, 4 * 8 + 4]);
+});
+
+test('mask flags follow what each unit can do right now', () => {
+  const game = createGame(MAP, 1);
+  const masks = actionMasks(game.state, 1);
+  // Worker (2,1): moves up or down, harvests right, can afford a barracks
+  // (type ID 2) but not a base into the free cells
+  assert.deepStrictEqual(maskFlags(masks, 2, 1), [
+    'type0', 'type1', 'type2', 'type4', 'move0', 'move2', 'harvest1', 'produceDir0', 'produceDir2', 'produceType2',
+  ]);
+  // Base (1,1): produces a worker (type ID 3) up or left
+  assert.deepStrictEqual(maskFlags(masks, 1, 1), ['type0', 'type4', 'produceDir0', 'produceDir3', 'produceType3']);
+  // Light (4,4): the enemy worker at (+1, 0) is attack position 3 * 7 + 4
+  assert.deepStrictEqual(maskFlags(masks, 4, 4), ['type0', 'type1', 'type5', 'move0', 'move2', 'move3', 'attack25']);
+  // The enemy's cells are not player 0's to act on
+  assert.deepStrictEqual(maskFlags(masks, 5, 4), []);
+});
+
+test('a carrying worker may return, and a busy unit has no mask', () => {
+  const game = createGame(MAP, 1);
+  game.state.units.find(u => u.id === 3).carrying = 1;
+  game.step({ 1: [{ unit: 2, action: 'move', target: { x: 2, y: 0 } }] });
+  const masks = actionMasks(game.state, 1);
+  // Worker (1,2) returns up to the base, and can no longer harvest
+  const flags = maskFlags(masks, 1, 2);
+  assert.ok(flags.includes('type3') && flags.includes('return0'));
+  assert.ok(!flags.includes('type2'));
+  // Worker 2 is mid-move
+  assert.strictEqual(masks.units[1 * 8 + 2], 0);
+  assert.deepStrictEqual(maskFlags(masks, 2, 1), []);
+});
@@ -0,0 +1,153 @@
+/**
+ * Headless simulation tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createGame, parseMapXML, DEFAULT_MAP_XML, findBot, playBot, UTT_VARIANTS, applyUTT,
+  createReplay, recordStep, openReplay, seekReplay, agentObservation,
+  createTournament, advanceTournament, tournamentWaiting, leagueTable, leagueCSV,
+} = require('../headless.js');
+
+const MAP = parseMapXML(DEFAULT_MAP_XML, 'basesWorkers16x16');
+
+// The headless scripts run in their own VM context, so compare states as
+// plain JSON rather than across realms
+function snapshot(gs) {
+  return JSON.parse(JSON.stringify(gs));
+}
+
+// Play `cycles` cycles of two bots, returning every cycle's orders
+function playBots(game, p1, p2, cycles) {
+  const orders = [];
+  for (let i = 0; i < cycles; i++) {
+    const step = { 1: playBot(findBot(p1), game.state, 1), 2: playBot(findBot(p2), game.state, 2) };
+    orders.push(JSON.parse(JSON.stringify(step)));
+    game.step(step);
+  }
+  return orders;
+}
+
+test('reset starts the map over with the given seed', () => {
+  const game = createGame(MAP, 7);
+  playBots(game, 'workerRushAI', 'randomBiasedAI', 50);
+  const state = game.reset(MAP, 9);
+  assert.strictEqual(game.state, state);
+  assert.strictEqual(state.cycle, 0);
+  assert.strictEqual(state.seed, 9);
+  assert.deepStrictEqual(snapshot(state), snapshot(createGame(MAP, 9).state));
+});
+
+test('step advances one cycle and applies orders', () => {
+  const game = createGame(MAP, 1);
+  const worker = game.state.units.find(u => u.owner === 1 && u.type === 'worker');
+  const { events } = game.step({ 1: [{ unit: worker.id, action: 'move', target: { x: worker.gx + 1, y: worker.gy } }] });
+  assert.strictEqual(game.state.cycle, 1);
+  assert.ok(Array.isArray(events));
+  assert.strictEqual(worker.action, 'move');
+  assert.strictEqual(worker.step.kind, 'move');
+});
+
+test('clone copies the state and steps independently', () => {
+  const game = createGame(MAP, 3);
+  playBots(game, 'workerRushAI', 'randomBiasedAI', 20);
+  const copy = game.clone();
+  assert.notStrictEqual(copy.state, game.state);
+  assert.deepStrictEqual(snapshot(copy.state), snapshot(game.state));
+  copy.step({});
+  assert.strictEqual(copy.state.cycle, game.state.cycle + 1);
+  assert.strictEqual(game.state.cycle, 20);
+});
+
+test('the same seed and orders give the same game', () => {
+  const first = createGame(MAP, 5);
+  const orders = playBots(first, 'lightRushAI', 'randomAI', 400);
+  const second = createGame(MAP, 5);
+  for (const step of orders) second.step(step);
+  assert.deepStrictEqual(snapshot(second.state), snapshot(first.state));
+});
+
+test('bots never roll the game PRNG, so their recorded orders replay the game', () => {
+  // v3 rolls damage, so a stray roll shows up in the units too
+  for (const variant of UTT_VARIANTS) {
+    applyUTT(variant.utt, variant.id);
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const first = createGame(MAP, seed);
+      const orders = playBots(first, 'workerRushAI', 'simpleAI', 600);
+      const second = createGame(MAP, seed);
+      for (const step of orders) second.step(step);
+      assert.deepStrictEqual(snapshot(second.state), snapshot(first.state), `UTT ${variant.id}, seed ${seed}`);
+    }
+  }
+  applyUTT(UTT_VARIANTS[0].utt, UTT_VARIANTS[0].id);
+});
+
+test('a recorded game and its replay end in the same state', () => {
+  for (const seed of [1, 2, 3]) {
+    const game = createGame(MAP, seed);
+    const replay = createReplay(MAP, game.state);
+    for (let i = 0; i < 800; i++) {
+      const orders = { 1: playBot(findBot('workerRushAI'), game.state, 1), 2: playBot(findBot('simpleAI'), game.state, 2) };
+      recordStep(replay, game.state.cycle + 1, orders);
+      game.step(orders);
+    }
+    const pb = openReplay(JSON.parse(JSON.stringify(replay)));
+    assert.deepStrictEqual(snapshot(seekReplay(pb, pb.end)), snapshot(game.state), `seed ${seed}`);
+    // Seeking back restores a keyframe and re-runs from there
+    seekReplay(pb, 250);
+    assert.deepStrictEqual(snapshot(seekReplay(pb, pb.end)), snapshot(game.state), `seed ${seed}, after seeking back`);
+  }
+});
+
+test('a move waits out a blocked cell, then gives up if it stays taken', () => {
+  const game = createGame(MAP, 1);
+  const unit = id => game.state.units.find(u => u.id === id);
+  // Worker 9 stands on (5, 2); worker 8 heads there
+  game.step({ 1: [{ unit: 9, action: 'move', target: { x: 5, y: 2 } }] });
+  while (unit(9).action !== 'noop') game.step({});
+  game.step({ 1: [{ unit: 8, action: 'move', target: { x: 5, y: 2 } }] });
+  for (let i = 0; i < 10; i++) game.step({});
+  assert.strictEqual(unit(8).action, 'move', 'still waiting for the cell');
+  for (let i = 0; i < 30; i++) game.step({});
+  assert.strictEqual(unit(8).action, 'noop', 'gave up');
+
+  // Once worker 9 steps aside, the same move goes through
+  game.step({ 1: [{ unit: 8, action: 'move', target: { x: 5, y: 2 } }] });
+  for (let i = 0; i < 5; i++) game.step({});
+  game.step({ 1: [{ unit: 9, action: 'move', target: { x: 5, y: 4 } }] });
+  for (let i = 0; i < 60 && unit(8).action !== 'noop'; i++) game.step({});
+  assert.deepStrictEqual([unit(8).gx, unit(8).gy], [5, 2]);
+});
+
+test('a producing building shows its queue in the agent observation', () => {
+  const game = createGame(MAP, 1);
+  game.step({ 1: [{ action: 'produce', unitType: 'worker' }] });
+  const base = agentObservation(game.state, 1).units.find(u => u.type === 'base');
+  assert.strictEqual(base.busy, 0);
+  assert.strictEqual(base.queued, 1);
+});
+
+test('a tournament match holds its step while an agent is waiting', () => {
+  const slow = { id: 'slow', waiting: () => slow.thinking, reset: () => { slow.resets++; }, play: () => [], thinking: true, resets: 0 };
+  const t = createTournament({ agents: [slow, findBot('passiveAI')], maps: [MAP], maxCycles: 10 });
+  assert.strictEqual(advanceTournament(t, 100), false);
+  assert.ok(tournamentWaiting(t));
+  assert.strictEqual(t.match.game.state.cycle, 0);
+  assert.strictEqual(slow.resets, 1);
+  slow.thinking = false;
+  assert.strictEqual(advanceTournament(t, 100), true);
+  assert.strictEqual(t.results[0].cycles, 10);
+});
+
+test('the league table and league.csv show agents by display name', () => {
+  const quoted = { id: 'agent:1', name: 'Mine, "v2"', play: () => [] };
+  const t = createTournament({ agents: [findBot('passiveAI'), quoted], maps: [MAP], maxCycles: 10 });
+  advanceTournament(t, 100);
+  assert.deepStrictEqual(Object.keys(t.ratings), ['passiveAI', 'agent:1']);
+  assert.deepStrictEqual([...leagueTable(t).map(r => r.name)].sort(), ['Mine, "v2"', 'Passive']);
+  const lines = leagueCSV(leagueTable(t)).trim().split('\n');
+  assert.strictEqual(lines[0], 'name,mu,sigma,trueskill');
+  // Names keep their commas inside quotes, so strip the three number columns
+  assert.deepStrictEqual(lines.slice(1).map(l => l.replace(/(,[^,]*){3}$/, '')).sort(), ['"Mine, ""v2"""', 'Passive']);
+});
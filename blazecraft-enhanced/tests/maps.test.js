@@ -0,0 +1,82 @@
+/**
+ * Map format tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createGame, parseMapXML, serializeMapXML, mapFromState, DEFAULT_MAP_XML } = require('../headless.js');
+
+const plain = x => JSON.parse(JSON.stringify(x));
+
+test('a MicroRTS map file parses into terrain, players and units', () => {
+  const xml = fs.readFileSync(path.join(__dirname, '../../PCG/maps/wall-1'), 'utf8');
+  const map = plain(parseMapXML(xml, 'wall-1'));
+  assert.strictEqual(map.name, 'wall-1');
+  assert.deepStrictEqual([map.width, map.height], [8, 8]);
+  assert.deepStrictEqual(map.terrain[0], [1, 1, 1, 1, 1, 1, 1, 1]);
+  assert.deepStrictEqual(map.terrain[1], [1, 0, 0, 0, 0, 0, 0, 1]);
+  assert.deepStrictEqual(map.players, [{ id: 0, resources: 5 }, { id: 1, resources: 5 }]);
+  assert.deepStrictEqual(map.units, [
+    { type: 'base', id: 2, player: 0, x: 2, y: 1, resources: 0, hitpoints: 10 },
+    { type: 'base', id: 3, player: 1, x: 5, y: 6, resources: 0, hitpoints: 10 },
+  ]);
+  assert.strictEqual(map.lineOfSight, false);
+});
+
+test('a game starts from the map it is given', () => {
+  const gs = createGame(parseMapXML(DEFAULT_MAP_XML), 1).state;
+  assert.deepStrictEqual([gs.width, gs.height], [16, 16]);
+  assert.strictEqual(gs.grid[6][7], 1);
+  assert.strictEqual(gs.grid[2][6], 2);
+  assert.strictEqual(gs.resourceAmounts[2][6], 25);
+  assert.deepStrictEqual(plain(gs.gold), { 1: 5, 2: 5 });
+  // MicroRTS players 0 and 1 are owners 1 and 2; patches are terrain, not units
+  assert.deepStrictEqual(plain(gs.units).map(u => `${u.id}:${u.type}:${u.owner}@${u.gx},${u.gy}`), [
+    '7:base:1@1,1', '8:worker:1@2,1', '9:worker:1@1,2', '10:base:2@14,14', '11:worker:2@13,14', '12:worker:2@14,13',
+  ]);
+});
+
+test('malformed maps are rejected with the reason', () => {
+  const doc = (attrs, body) => `<rts.PhysicalGameState ${attrs}>${body}</rts.PhysicalGameState>`;
+  const unit = attrs => `<units><rts.units.Unit ${attrs}/></units>`;
+  const cases = [
+    ['<map/>', /missing <rts\.PhysicalGameState>/],
+    [doc('width="4"', ''), /missing a numeric "height"/],
+    [doc('width="0" height="4"', ''), /Invalid map size 0x4/],
+    [doc('width="2" height="2"', '<terrain>000</terrain>'), /Terrain has 3 cells, expected 4/],
+    [doc('width="2" height="2"', unit('type="Tank" ID="1" player="0" x="0" y="0" hitpoints="1"')), /Unknown unit type "Tank"/],
+    [doc('width="2" height="2"', unit('type="Worker" ID="1" player="0" x="2" y="0" hitpoints="1"')), /outside the map/],
+    [doc('width="2" height="2"', unit('type="Worker" ID="1" player="2" x="0" y="0" hitpoints="1"')), /unsupported player 2/],
+  ];
+  for (const [xml, error] of cases) assert.throws(() => parseMapXML(xml), error, xml);
+});
+
+test('a map survives export and re-import', () => {
+  const xml = fs.readFileSync(path.join(__dirname, '../../PCG/maps/wall-1'), 'utf8');
+  const map = parseMapXML(xml, 'wall-1');
+  const out = serializeMapXML(map);
+  assert.deepStrictEqual(plain(parseMapXML(out, 'wall-1')), plain(map));
+  // Laid out line for line the way MicroRTS writes it
+  assert.strictEqual(out, xml.trimEnd() + '\n');
+});
+
+test('the exported board is the game as it stands', () => {
+  const game = createGame(parseMapXML(DEFAULT_MAP_XML), 1);
+  game.step({ 1: [{ unit: 8, action: 'move', target: { x: 3, y: 1 } }] });
+  while (game.state.units.find(u => u.id === 8).action !== 'noop') game.step({});
+  game.state.gold[2] = 9;
+  game.state.resourceAmounts[2][6] = 20;
+  const map = plain(parseMapXML(serializeMapXML(mapFromState(game.state, 'board')), 'board'));
+  assert.deepStrictEqual(map.players, [{ id: 0, resources: 5 }, { id: 1, resources: 9 }]);
+  assert.deepStrictEqual(map.units.find(u => u.id === 8), { type: 'worker', id: 8, player: 0, x: 3, y: 1, resources: 0, hitpoints: 1 });
+  assert.strictEqual(map.units.find(u => u.type === 'resource' && u.x === 6 && u.y === 2).resources, 20);
+  assert.deepStrictEqual(map.terrain, plain(game.state.grid).map(row => row.map(t => (t === 1 ? 1 : 0))));
+});
+
+test('unit types without a MicroRTS name are not exported', () => {
+  const map = plain(parseMapXML(DEFAULT_MAP_XML));
+  map.units[0].type = 'tank';
+  assert.throws(() => serializeMapXML(map), /"tank" has no MicroRTS equivalent/);
+});
@@ -0,0 +1,72 @@
+/**
+ * Observation encoder tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createGame, parseMapXML, DEFAULT_MAP_XML, UTT_VARIANTS, applyUTT, CONFIG, encodeObservation, observationPlanes,
+} = require('../headless.js');
+
+const MAP = parseMapXML(DEFAULT_MAP_XML, 'basesWorkers16x16');
+
+// MicroRTSGridModeVecEnv.num_planes for the active UTT
+function numPlanes(partialObs) {
+  const planes = [5, 5, 3, CONFIG.UTT.utt.unitTypes.length + 1, 6, 2];
+  return partialObs ? [...planes, 1, 1] : planes;
+}
+
+// The planes set in cell (x, y), by name. The encoder runs in the headless
+// VM context, so arrays are copied into this one to compare them.
+function cellPlanes(obs, x, y) {
+  const at = (y * obs.shape[1] + x) * obs.shape[2];
+  return [...obs.planes].filter((name, c) => obs.data[at + c]);
+}
+
+test('the default layout is the env\'s num_planes, terrain included', () => {
+  const first = ['hp=0', 'resources=0', 'owner=none', 'type=none', 'action=noop', 'terrain=free', 'visible=player0', 'visible=player1'];
+  for (const variant of UTT_VARIANTS) {
+    applyUTT(variant.utt, variant.id);
+    for (const partialObs of [false, true]) {
+      const sizes = numPlanes(partialObs);
+      const obs = encodeObservation(createGame(MAP, 1).state, 0, { partialObs });
+      assert.deepStrictEqual([...obs.shape], [16, 16, sizes.reduce((a, b) => a + b)]);
+      assert.deepStrictEqual([...obs.planes], [...observationPlanes({ partialObs })]);
+      let offset = 0;
+      sizes.forEach((size, g) => {
+        assert.strictEqual(obs.planes.indexOf(first[g]), offset, `${variant.id}, group ${g}`);
+        offset += size;
+      });
+    }
+  }
+  applyUTT(UTT_VARIANTS[0].utt, UTT_VARIANTS[0].id);
+  assert.strictEqual(encodeObservation(createGame(MAP, 1).state, 0, { terrain: false }).shape[2], 27);
+});
+
+test('every cell sets exactly one plane per group', () => {
+  const obs = encodeObservation(createGame(MAP, 1).state, 1, { partialObs: true });
+  for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 16; x++) assert.strictEqual(cellPlanes(obs, x, y).length, 8, `(${x}, ${y})`);
+  }
+});
+
+test('cells encode units, resources and walls relative to the player', () => {
+  const gs = createGame(MAP, 1).state;
+  const own = encodeObservation(gs, 0);
+  assert.deepStrictEqual(cellPlanes(own, 2, 1), ['hp=1', 'resources=0', 'owner=own', 'type=Worker', 'action=noop', 'terrain=free']);
+  assert.deepStrictEqual(cellPlanes(own, 1, 1), ['hp=4+', 'resources=0', 'owner=own', 'type=Base', 'action=noop', 'terrain=free']);
+  assert.deepStrictEqual(cellPlanes(own, 6, 2), ['hp=1', 'resources=4+', 'owner=none', 'type=Resource', 'action=noop', 'terrain=free']);
+  assert.deepStrictEqual(cellPlanes(own, 7, 6), ['hp=0', 'resources=0', 'owner=none', 'type=none', 'action=noop', 'terrain=wall']);
+  assert.ok(cellPlanes(encodeObservation(gs, 1), 2, 1).includes('owner=enemy'));
+});
+
+test('under partial observability the player only sees units in sight', () => {
+  const gs = createGame(MAP, 1).state;
+  const full = encodeObservation(gs, 0);
+  const partial = encodeObservation(gs, 0, { partialObs: true });
+  assert.ok(cellPlanes(full, 14, 14).includes('type=Base'));
+  assert.ok(cellPlanes(partial, 14, 14).includes('type=none'));
+  // Out of sight, resource patches are hidden too
+  assert.ok(cellPlanes(partial, 9, 12).includes('type=none'));
+  assert.ok(cellPlanes(partial, 2, 1).includes('type=Worker'));
+});
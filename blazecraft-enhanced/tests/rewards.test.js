@@ -0,0 +1,87 @@
+/**
+ * Reward function tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, createGame, REWARD_KEYS, weightedReward } = require('../headless.js');
+
+const plain = x => JSON.parse(JSON.stringify(x));
+
+// An 8x3 board where player 0 can do one of everything on the first cycle:
+//   row 0: base 2 at (1,0), worker 3 at (2,0) next to the resource at (3,0)
+//   row 1: light 5 at (5,1) next to player 1's worker 7 at (6,1)
+//   row 2: worker 4 at (0,2), barracks 6 at (3,2), player 1's base 8 at (7,2)
+function board(gold = 20) {
+  const unit = (type, id, player, x, y, hitpoints, resources = 0) => ({ type, id, player, x, y, resources, hitpoints });
+  return {
+    name: 'rewards', width: 8, height: 3, terrain: [0, 1, 2].map(() => Array(8).fill(0)),
+    players: [{ id: 0, resources: gold }, { id: 1, resources: 0 }],
+    units: [
+      unit('resource', 1, -1, 3, 0, 1, 10), unit('base', 2, 0, 1, 0, 10), unit('worker', 3, 0, 2, 0, 1),
+      unit('worker', 4, 0, 0, 2, 1), unit('light', 5, 0, 5, 1, 4), unit('barracks', 6, 0, 3, 2, 4),
+      unit('worker', 7, 1, 6, 1, 1), unit('base', 8, 1, 7, 2, 10),
+    ],
+    lineOfSight: false,
+  };
+}
+
+const ORDERS = {
+  harvest: { unit: 3, action: 'harvest', target: { x: 3, y: 0 } },
+  attack: { unit: 5, action: 'attack', target: 7, once: true },
+  worker: { unit: 2, action: 'produce', unitType: 'worker', target: { x: 1, y: 1 } },
+  building: { unit: 4, action: 'produce', unitType: 'barracks', target: { x: 0, y: 1 } },
+  combat: { unit: 6, action: 'produce', unitType: 'light', target: { x: 4, y: 2 } },
+};
+
+const components = (resources, workers, buildings, attack, combat) =>
+  ({ winLoss: 0, resources, workers, buildings, attack, combat });
+
+test('each action scores its reward component for the player who started it', () => {
+  const expected = {
+    harvest: components(1, 0, 0, 0, 0),
+    attack: components(0, 0, 0, 1, 0),
+    worker: components(0, 1, 0, 0, 0),
+    building: components(0, 0, 1, 0, 0),
+    combat: components(0, 0, 0, 0, 1),
+  };
+  for (const [name, order] of Object.entries(ORDERS)) {
+    const game = createGame(board(), 1);
+    game.step({ 1: [order] });
+    assert.deepStrictEqual(plain(game.state.stepRewards), { 1: expected[name], 2: components(0, 0, 0, 0, 0) }, name);
+  }
+});
+
+test('harvesting scores each harvest and return trip, not the gold', () => {
+  const game = createGame(board(), 1);
+  const scored = [];
+  game.step({ 1: [ORDERS.harvest] });
+  while (game.state.cycle < 35) {
+    if (game.state.stepRewards[1].resources) scored.push(game.state.cycle);
+    game.step({});
+  }
+  const { harvestTime, returnTime } = CONFIG.UNIT_TYPES.worker;
+  // Harvest starts at 1, the return when it ends, the next harvest after that
+  assert.deepStrictEqual(scored, [1, 1 + harvestTime, 1 + harvestTime + returnTime]);
+  assert.strictEqual(game.state.rewards[1].resources, 3);
+  assert.strictEqual(game.state.gold[1], 21);
+});
+
+test('sums run over the game and the weighted reward uses the env weights', () => {
+  const game = createGame(board(), 1);
+  game.step({ 1: Object.values(ORDERS) });
+  const step = plain(game.state.stepRewards[1]);
+  assert.deepStrictEqual(step, components(1, 1, 1, 1, 1));
+  game.step({});
+  assert.deepStrictEqual(plain(game.state.rewards[1]), step);
+  assert.deepStrictEqual(Object.keys(step), [...REWARD_KEYS]);
+  // resources 1.0 + combat 5.0 under the default weights
+  assert.strictEqual(weightedReward(step, CONFIG.REWARD_WEIGHTS), 6);
+  assert.strictEqual(weightedReward(step, { winLoss: 10, resources: 1, workers: 1, buildings: 1, attack: 1, combat: 1 }), 5);
+});
+
+test('rejected production scores nothing', () => {
+  const game = createGame(board(0), 1);
+  game.step({ 1: [ORDERS.worker, ORDERS.building, ORDERS.combat] });
+  assert.deepStrictEqual(plain(game.state.stepRewards[1]), components(0, 0, 0, 0, 0));
+});
@@ -0,0 +1,142 @@
+/**
+ * Trace import tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, UTT_VARIANTS, applyUTT, parseTrace, traceToReplay, openReplay, seekReplay } = require('../headless.js');
+
+const plain = x => JSON.parse(JSON.stringify(x));
+const variant = id => UTT_VARIANTS.find(v => v.id === id);
+
+test.afterEach(() => applyUTT(variant('v1').utt, 'v1'));
+
+// Two entries of an 8x8 game: at cycle 0 worker 3 moves right, the base
+// trains a worker below itself, the light attacks the enemy worker at (6,5)
+// and worker 5 idles; by cycle 10 the worker has arrived and starts to
+// harvest the resource on its right.
+const UNITS_0 = [
+  ['Resource', 1, -1, 5, 0, 20, 1], ['Base', 2, 0, 0, 0, 0, 10], ['Worker', 3, 0, 3, 0, 0, 1],
+  ['Worker', 6, 0, 6, 5, 0, 1], ['Light', 4, 1, 6, 6, 0, 4], ['Worker', 5, 1, 5, 6, 0, 1],
+];
+const UNITS_10 = UNITS_0.map(u => (u[1] === 3 ? ['Worker', 3, 0, 4, 0, 0, 1] : u));
+const ACTIONS_0 = [
+  [3, { type: 1, parameter: 1 }],
+  [2, { type: 4, parameter: 2, unitType: 'Worker' }],
+  [4, { type: 5, x: 6, y: 5 }],
+  [5, { type: 0, parameter: 10 }],
+];
+const ACTIONS_10 = [[3, { type: 2, parameter: 1 }]];
+
+function pgsXML(units) {
+  return [
+    '<rts.PhysicalGameState width="8" height="8">',
+    `<terrain>${'0'.repeat(64)}</terrain>`,
+    '<players><rts.Player ID="0" resources="3"></rts.Player><rts.Player ID="1" resources="4"></rts.Player></players>',
+    '<units>',
+    ...units.map(([type, ID, player, x, y, resources, hitpoints]) =>
+      `<rts.units.Unit type="${type}" ID="${ID}" player="${player}" x="${x}" y="${y}" resources="${resources}" hitpoints="${hitpoints}" ></rts.units.Unit>`),
+    '</units>',
+    '</rts.PhysicalGameState>',
+  ].join('\n');
+}
+
+function uttXML(utt) {
+  const types = utt.unitTypes.map(t => {
+    const attrs = Object.entries(t).filter(([, v]) => !Array.isArray(v)).map(([k, v]) => `${k}="${v}"`).join(' ');
+    const lists = [...t.produces.map(n => `<produces type="${n}"></produces>`), ...t.producedBy.map(n => `<producedBy type="${n}"></producedBy>`)];
+    return `<rts.units.UnitType ${attrs}>${lists.join('')}</rts.units.UnitType>`;
+  });
+  return `<rts.units.UnitTypeTable moveConflictResolutionStrategy="${utt.moveConflictResolutionStrategy}">${types.join('\n')}</rts.units.UnitTypeTable>`;
+}
+
+function traceXML(utt) {
+  const entry = (time, units, actions) => [
+    `<rts.TraceEntry time="${time}">`,
+    pgsXML(units),
+    '<actions>',
+    ...actions.map(([unitID, a]) => {
+      const attrs = Object.entries(a).map(([k, v]) => `${k}="${v}"`).join(' ');
+      return `<action unitID="${unitID}"><UnitAction ${attrs}/></action>`;
+    }),
+    '</actions>',
+    '</rts.TraceEntry>',
+  ].join('\n');
+  // MicroRTS writes entries in time order; the reader sorts them anyway
+  return ['<rts.Trace>', utt ? uttXML(utt) : '', '<entries>', entry(10, UNITS_10, ACTIONS_10), entry(0, UNITS_0, ACTIONS_0), '</entries>', '</rts.Trace>'].join('\n');
+}
+
+function traceJSON(utt) {
+  const pgs = units => ({
+    width: 8, height: 8, terrain: '0'.repeat(64),
+    players: [{ ID: 0, resources: 3 }, { ID: 1, resources: 4 }],
+    units: units.map(([type, ID, player, x, y, resources, hitpoints]) => ({ type, ID, player, x, y, resources, hitpoints })),
+  });
+  const entry = (time, units, actions) => ({ time, pgs: pgs(units), actions: actions.map(([unitID, action]) => ({ unitID, action })) });
+  return JSON.stringify({ utt, entries: [entry(0, UNITS_0, ACTIONS_0), entry(10, UNITS_10, ACTIONS_10)] });
+}
+
+test('XML and JSON traces read into the same entries', () => {
+  const xml = plain(parseTrace(traceXML(), 'game'));
+  const json = plain(parseTrace(traceJSON(), 'game'));
+  // Only the XML form has a lineOfSight attribute
+  for (const e of xml.entries) delete e.map.lineOfSight;
+  assert.deepStrictEqual(xml.entries, json.entries);
+  assert.deepStrictEqual(xml.entries.map(e => e.time), [0, 10]);
+  const [first] = xml.entries;
+  assert.deepStrictEqual(first.map.units.find(u => u.id === 3), { type: 'worker', id: 3, player: 0, x: 3, y: 0, resources: 0, hitpoints: 1 });
+  assert.deepStrictEqual(first.actions[1], { unit: 2, action: { type: 4, parameter: 2, unitType: 'Worker' } });
+  assert.deepStrictEqual(first.actions[2], { unit: 4, action: { type: 5, x: 6, y: 5 } });
+});
+
+test('the trace\'s unit type table is read from either format', () => {
+  const v2 = variant('v2').utt;
+  for (const text of [traceXML(v2), traceJSON(v2)]) {
+    const { utt } = parseTrace(text);
+    const heavy = utt.unitTypes.find(t => t.name === 'Heavy');
+    assert.deepStrictEqual([heavy.cost, heavy.hp, heavy.moveTime], [3, 8, 10]);
+    assert.deepStrictEqual([...utt.unitTypes.find(t => t.name === 'Base').produces], ['Worker']);
+  }
+  // A table missing a unit type is ignored rather than failing the import
+  const broken = { ...v2, unitTypes: v2.unitTypes.filter(t => t.name !== 'Ranged') };
+  assert.strictEqual(parseTrace(traceXML(broken)).utt, null);
+  assert.strictEqual(traceToReplay(traceXML(broken)).utt, CONFIG.UTT);
+});
+
+test('files that are not traces are rejected', () => {
+  assert.throws(() => parseTrace('<rts.PhysicalGameState width="8" height="8"/>'), /missing <rts\.Trace>/);
+  assert.throws(() => parseTrace('{"pgs": {}}'), /missing "entries"/);
+  assert.throws(() => parseTrace('<rts.Trace><entries></entries></rts.Trace>'), /trace has no entries/);
+  assert.throws(() => parseTrace('{ not json'), { name: 'SyntaxError' });
+});
+
+test('recorded actions become orders on the cycle after their entry', () => {
+  const replay = plain(traceToReplay(traceXML(), 'game'));
+  assert.deepStrictEqual([replay.initial.cycle, replay.endCycle], [0, 10]);
+  assert.deepStrictEqual(replay.steps, [
+    [1, {
+      1: [
+        { unit: 3, action: 'move', target: { x: 4, y: 0 }, once: true },
+        { unit: 2, action: 'produce', unitType: 'worker', target: { x: 0, y: 1 } },
+      ],
+      2: [{ unit: 4, action: 'attack', target: 6, once: true }],
+    }],
+    [11, { 1: [{ unit: 3, action: 'harvest', target: { x: 5, y: 0 }, once: true }] }],
+  ]);
+  assert.deepStrictEqual(replay.syncs.map(([cycle]) => cycle), [10]);
+});
+
+test('playback simulates between entries and shows each entry as recorded', () => {
+  const pb = openReplay(traceToReplay(traceXML(variant('v2').utt), 'game'));
+  assert.strictEqual(CONFIG.UNIT_TYPES.heavy.cost, 3);
+  const at = cycle => plain(seekReplay(pb, cycle));
+  // Mid-move the worker is still on its cell and the base is training
+  const mid = at(5);
+  assert.deepStrictEqual([mid.units.find(u => u.id === 3).gx, mid.units.find(u => u.id === 3).action], [3, 'move']);
+  assert.deepStrictEqual(mid.prodQueue.map(pq => [pq.producer, pq.unitType]), [[2, 'worker']]);
+  // At the second entry the board is the recorded one
+  const end = at(10);
+  const cells = gs => Object.fromEntries(gs.units.map(u => [u.id, [u.gx, u.gy]]));
+  assert.deepStrictEqual(cells(end), { 2: [0, 0], 3: [4, 0], 4: [6, 6], 5: [5, 6], 6: [6, 5] });
+  assert.deepStrictEqual(end.gold, { 1: 3, 2: 4 });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit type table tests: node --test blazecraft-enhanced/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, parseMapXML, DEFAULT_MAP_XML, CONFIG, UTT_VARIANTS, parseUTT, applyUTT } = require('../headless.js');
+
+const MAP = parseMapXML(DEFAULT_MAP_XML);
+const variant = id => UTT_VARIANTS.find(v => v.id === id);
+const stats = (type, keys) => Object.fromEntries(keys.map(k => [k, CONFIG.UNIT_TYPES[type][k]]));
+
+test.afterEach(() => applyUTT(variant('v1').utt, 'v1'));
+
+test('v1, v2 and v3 carry the UnitTypeTable versions\' stats', () => {
+  const keys = ['cost', 'hp', 'produceTime', 'moveTime', 'minDamage', 'maxDamage'];
+  applyUTT(variant('v1').utt, 'v1');
+  assert.deepStrictEqual(stats('base', ['produceTime']), { produceTime: 250 });
+  assert.deepStrictEqual(stats('heavy', keys), { cost: 2, hp: 4, produceTime: 120, moveTime: 12, minDamage: 4, maxDamage: 4 });
+  applyUTT(variant('v2').utt, 'v2');
+  assert.deepStrictEqual(stats('base', ['produceTime']), { produceTime: 200 });
+  assert.deepStrictEqual(stats('barracks', ['produceTime']), { produceTime: 100 });
+  assert.deepStrictEqual(stats('heavy', keys), { cost: 3, hp: 8, produceTime: 120, moveTime: 10, minDamage: 4, maxDamage: 4 });
+  applyUTT(variant('v3').utt, 'v3');
+  assert.deepStrictEqual(stats('worker', ['minDamage', 'maxDamage']), { minDamage: 0, maxDamage: 2 });
+  assert.deepStrictEqual(stats('heavy', ['minDamage', 'maxDamage']), { minDamage: 0, maxDamage: 6 });
+  assert.strictEqual(CONFIG.UTT.name, 'v3');
+});
+
+test('a table sets every engine stat, with produces lists in engine names', () => {
+  applyUTT(variant('v1').utt, 'v1');
+  const worker = CONFIG.UNIT_TYPES.worker;
+  assert.deepStrictEqual(stats('worker', ['range', 'harvestTime', 'returnTime', 'sight', 'canHarvest', 'isBuilding']),
+    { range: 1, harvestTime: 20, returnTime: 10, sight: 3, canHarvest: true, isBuilding: false });
+  assert.deepStrictEqual([...worker.produces], ['base', 'barracks']);
+  assert.deepStrictEqual([...CONFIG.UNIT_TYPES.light.producedBy], ['barracks']);
+  assert.strictEqual(CONFIG.UNIT_TYPES.ranged.range, 3);
+  assert.strictEqual(CONFIG.UNIT_TYPES.base.isStockpile, true);
+  // Display fields stay
+  assert.strictEqual(worker.label, 'W');
+});
+
+test('a loaded table\'s durations drive the simulation', () => {
+  const utt = JSON.parse(JSON.stringify(variant('v1').utt));
+  utt.unitTypes.find(t => t.name === 'Worker').moveTime = 3;
+  applyUTT(JSON.stringify(utt), 'fast workers');
+  const game = createGame(MAP, 1);
+  const worker = () => game.state.units.find(u => u.id === 8);
+  // The step starts on the cycle the order arrives and lands moveTime later
+  game.step({ 1: [{ unit: 8, action: 'move', target: { x: 3, y: 1 } }] });
+  assert.strictEqual(worker().busy, 3);
+  while (worker().gx !== 3) game.step({});
+  assert.strictEqual(game.state.cycle, 1 + 3);
+});
+
+test('tables MicroRTS would not load are rejected', () => {
+  const table = edit => {
+    const utt = JSON.parse(JSON.stringify(variant('v1').utt));
+    edit(utt);
+    return utt;
+  };
+  assert.throws(() => parseUTT({}), /no unitTypes/);
+  assert.throws(() => parseUTT('{'), { name: 'SyntaxError' });
+  assert.throws(() => parseUTT(table(utt => { utt.unitTypes[3].name = 'Archer'; })), /unsupported unit type "Archer"/);
+  assert.throws(() => parseUTT(table(utt => { delete utt.unitTypes[4].moveTime; })), /Light\.moveTime is missing/);
+  assert.throws(() => parseUTT(table(utt => { utt.unitTypes.pop(); })), /unit type Ranged is missing/);
+});
@@ -0,0 +1,200 @@
+/**
+ * BlazeCraft Enhanced Tournaments
+ * Round-robin leagues between agents (bots, see bots.js) across maps, rated
+ * with TrueSkill the way experiments/league.py rates gym-microrts agents.
+ * Matches run headless at full speed. DOM-free; the league panel lives in
+ * league.js.
+ *
+ *   const t = createTournament({ agents: BOTS, maps: [parseMapXML(DEFAULT_MAP_XML)], rounds: 2 });
+ *   while (!advanceTournament(t, 10000));
+ *   leagueCSV(leagueTable(t));   // name,mu,sigma,trueskill as in league.csv
+ *
+ * Every pair of agents meets once per map per round, swapping sides each
+ * round. A match is won by destroying every enemy unit; both sides wiped out
+ * or `maxCycles` reached is a draw.
+ *
+ * An agent that answers asynchronously (a loaded agent, see agenthost.js)
+ * has `waiting(owner)`, true until its answer to the last observation is in,
+ * and `reset()`, called at the start of each match. The match holds its
+ * step meanwhile, and advanceTournament() returns early so the caller can
+ * yield until tournamentWaiting() clears.
+ */
+
+// ============================================================
+// TRUESKILL (1 vs 1, the trueskill package defaults)
+// ============================================================
+const TRUESKILL = { mu: 25, sigma: 25 / 3, beta: 25 / 6, tau: 25 / 300, drawProbability: 0.1 };
+
+function normPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+// Complementary error function, Numerical Recipes' Chebyshev fit (|error| < 1.2e-7)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + z / 2);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+function normCdf(x) {
+  return erfc(-x / Math.SQRT2) / 2;
+}
+
+function normPpf(p) {
+  let lo = -10;
+  let hi = 10;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (normCdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Mean and variance corrections for a win (vWin, wWin) or a draw (vDraw,
+// wDraw), given the performance difference and draw margin over c
+function vWin(t, e) {
+  const denom = normCdf(t - e);
+  return denom ? normPdf(t - e) / denom : e - t;
+}
+
+function wWin(t, e) {
+  const v = vWin(t, e);
+  return v * (v + t - e);
+}
+
+function vDraw(t, e) {
+  const a = e - Math.abs(t);
+  const b = -e - Math.abs(t);
+  const denom = normCdf(a) - normCdf(b);
+  return (denom ? (normPdf(b) - normPdf(a)) / denom : a) * (t < 0 ? -1 : 1);
+}
+
+function wDraw(t, e) {
+  const a = e - Math.abs(t);
+  const b = -e - Math.abs(t);
+  const denom = normCdf(a) - normCdf(b);
+  const v = vDraw(Math.abs(t), e);
+  return v * v + (a * normPdf(a) - b * normPdf(b)) / denom;
+}
+
+// New { mu, sigma } for the winner and loser of a game (either order for a draw)
+function rate1vs1(winner, loser, drawn = false) {
+  const { beta, tau, drawProbability } = TRUESKILL;
+  const margin = normPpf((drawProbability + 1) / 2) * Math.SQRT2 * beta;
+  const var1 = winner.sigma ** 2 + tau ** 2;
+  const var2 = loser.sigma ** 2 + tau ** 2;
+  const c = Math.sqrt(2 * beta * beta + var1 + var2);
+  const t = (winner.mu - loser.mu) / c;
+  const e = margin / c;
+  const v = drawn ? vDraw(t, e) : vWin(t, e);
+  const w = drawn ? wDraw(t, e) : wWin(t, e);
+  return [
+    { mu: winner.mu + var1 / c * v, sigma: Math.sqrt(var1 * (1 - var1 / (c * c) * w)) },
+    { mu: loser.mu - var2 / c * v, sigma: Math.sqrt(var2 * (1 - var2 / (c * c) * w)) },
+  ];
+}
+
+// ============================================================
+// MATCHES
+// ============================================================
+function createMatch(map, p1, p2, seed, maxCycles) {
+  p1.reset?.();
+  p2.reset?.();
+  return { game: createGame(map, seed), agents: { 1: p1, 2: p2 }, maxCycles };
+}
+
+function matchWaiting(match) {
+  return [1, 2].some(owner => match.agents[owner].waiting?.(owner));
+}
+
+// Run up to `cycles` cycles: the winning owner, 0 for a draw, or null while
+// the match goes on
+function stepMatch(match, cycles) {
+  const { game, agents } = match;
+  for (let i = 0; i < cycles; i++) {
+    const gs = game.state;
+    const result = gameResult(gs, match.maxCycles);
+    if (result !== null) return result;
+    if (matchWaiting(match)) return null;
+    game.step({ 1: playBot(agents[1], gs, 1), 2: playBot(agents[2], gs, 2) });
+  }
+  return null;
+}
+
+// ============================================================
+// LEAGUE
+// ============================================================
+function createTournament({ agents, maps, rounds = 1, maxCycles = 5000, seed = 1 }) {
+  if (agents.length < 2) throw new Error('a tournament needs at least two agents');
+  if (!maps.length) throw new Error('a tournament needs at least one map');
+  const schedule = [];
+  for (let round = 0; round < rounds; round++) {
+    for (const map of maps) {
+      for (let i = 0; i < agents.length; i++) {
+        for (let j = i + 1; j < agents.length; j++) {
+          const [p1, p2] = round % 2 ? [agents[j], agents[i]] : [agents[i], agents[j]];
+          schedule.push({ p1, p2, map, seed: (seed + schedule.length) >>> 0 });
+        }
+      }
+    }
+  }
+  const ratings = {};
+  for (const a of agents) {
+    ratings[a.id] = { name: a.name || a.id, mu: TRUESKILL.mu, sigma: TRUESKILL.sigma, wins: 0, draws: 0, losses: 0 };
+  }
+  return { schedule, maxCycles, next: 0, match: null, ratings, results: [] };
+}
+
+function tournamentDone(t) {
+  return t.next >= t.schedule.length;
+}
+
+// Play up to `cycles` cycles of the remaining matches; true once all are played
+function advanceTournament(t, cycles) {
+  while (cycles > 0 && !tournamentDone(t)) {
+    const fixture = t.schedule[t.next];
+    if (!t.match) t.match = createMatch(fixture.map, fixture.p1, fixture.p2, fixture.seed, t.maxCycles);
+    const before = t.match.game.state.cycle;
+    const winner = stepMatch(t.match, cycles);
+    if (winner === null && matchWaiting(t.match)) break;
+    cycles -= Math.max(1, t.match.game.state.cycle - before);
+    if (winner === null) continue;
+    recordResult(t, fixture, winner, t.match.game.state.cycle);
+    t.match = null;
+    t.next++;
+  }
+  return tournamentDone(t);
+}
+
+// True while the current match waits on an agent's answer
+function tournamentWaiting(t) {
+  return !!t.match && matchWaiting(t.match);
+}
+
+function recordResult(t, fixture, winner, cycles) {
+  const a = t.ratings[fixture.p1.id];
+  const b = t.ratings[fixture.p2.id];
+  const [first, second] = winner === 2 ? [b, a] : [a, b];
+  const [r1, r2] = rate1vs1(first, second, winner === 0);
+  Object.assign(first, r1);
+  Object.assign(second, r2);
+  if (winner === 0) { a.draws++; b.draws++; }
+  else { first.wins++; second.losses++; }
+  t.results.push({ p1: fixture.p1.id, p2: fixture.p2.id, map: fixture.map.name, seed: fixture.seed, winner, cycles });
+}
+
+// Rows sorted by conservative skill, mu - 3 sigma, as league.py ranks them
+function leagueTable(t) {
+  return Object.values(t.ratings)
+    .map(r => ({ ...r, trueskill: r.mu - 3 * r.sigma }))
+    .sort((a, b) => b.trueskill - a.trueskill);
+}
+
+// Display names are quoted where they need it, as pandas writes them
+function leagueCSV(rows) {
+  const field = s => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  return ['name,mu,sigma,trueskill', ...rows.map(r => `${field(r.name)},${r.mu},${r.sigma},${r.trueskill}`)].join('\n') + '\n';
+}
@@ -0,0 +1,146 @@
+/**
+ * BlazeCraft Enhanced MicroRTS Traces
+ * Read the game traces MicroRTS writes (rts.Trace, as XML or JSON) and turn
+ * them into replays (see replay.js) for the playback bar. DOM-free.
+ *
+ * A trace holds its unit type table and a TraceEntry for every cycle in which
+ * a player issued actions: the board at that cycle and the unit actions
+ * issued. The replay issues those actions as single-action orders and snaps
+ * the simulation to each entry's board, so play between entries is simulated
+ * and every entry is shown exactly as recorded.
+ */
+
+// ============================================================
+// PARSING
+// ============================================================
+// Entries come out as { time, map, actions: [{ unit, action }] }, actions in
+// the UnitAction.toJSON() shape ({ type, parameter, x, y, unitType })
+function parseTrace(text, name = 'trace') {
+  const data = typeof text === 'string' ? text.trim() : text;
+  const trace = typeof data === 'string' && data.startsWith('<') ? parseTraceXML(data, name) : parseTraceJSON(data, name);
+  if (!trace.entries.length) throw new Error('trace has no entries');
+  trace.entries.sort((a, b) => a.time - b.time);
+  return trace;
+}
+
+function parseTraceJSON(data, name) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!json || !Array.isArray(json.entries)) throw new Error('Not a MicroRTS trace: missing "entries"');
+  return {
+    utt: json.utt && Array.isArray(json.utt.unitTypes) ? json.utt : null,
+    entries: json.entries.map(e => ({
+      time: e.time | 0,
+      map: parsePGSJSON(e.pgs, name),
+      actions: (e.actions || []).map(a => ({ unit: a.unitID ?? a.ID, action: a.action })),
+    })),
+  };
+}
+
+function parseTraceXML(xml, name) {
+  if (!/<rts\.Trace\b/.test(xml)) throw new Error('Not a MicroRTS trace: missing <rts.Trace>');
+  const entries = [];
+  const entryRe = /<rts\.TraceEntry\b([^>]*)>([\s\S]*?)<\/rts\.TraceEntry>/g;
+  let m;
+  while ((m = entryRe.exec(xml))) {
+    const time = parseIntAttr(parseXMLAttrs(m[1]), 'time', 'rts.TraceEntry');
+    const actions = [];
+    const actionRe = /<action\b([^>]*)>\s*<UnitAction\b([^>]*?)\/?>/g;
+    let a;
+    while ((a = actionRe.exec(m[2]))) {
+      const attrs = parseXMLAttrs(a[2]);
+      const action = { type: parseIntAttr(attrs, 'type', 'UnitAction') };
+      for (const key of ['parameter', 'x', 'y']) if (attrs[key] !== undefined) action[key] = parseInt(attrs[key], 10);
+      if (attrs.unitType) action.unitType = attrs.unitType;
+      actions.push({ unit: parseIntAttr(parseXMLAttrs(a[1]), 'unitID', 'action'), action });
+    }
+    entries.push({ time, map: parseMapXML(m[2], name), actions });
+  }
+  return { utt: parseUTTXML(xml), entries };
+}
+
+// The <rts.units.UnitTypeTable> of a trace in the JSON shape, or null
+function parseUTTXML(xml) {
+  const table = /<rts\.units\.UnitTypeTable\b([^>]*)>([\s\S]*?)<\/rts\.units\.UnitTypeTable>/.exec(xml);
+  if (!table) return null;
+  const unitTypes = [];
+  const typeRe = /<rts\.units\.UnitType\b([^>]*?)(?:\/>|>([\s\S]*?)<\/rts\.units\.UnitType>)/g;
+  let m;
+  while ((m = typeRe.exec(table[2]))) {
+    const attrs = parseXMLAttrs(m[1]);
+    const t = { name: attrs.name, produces: [], producedBy: [] };
+    for (const [key, value] of Object.entries(attrs)) {
+      if (key === 'name') continue;
+      t[key] = value === 'true' ? true : value === 'false' ? false : Number(value);
+    }
+    const listRe = /<(produces|producedBy)\b([^>]*?)\/?>/g;
+    let l;
+    while ((l = listRe.exec(m[2] || ''))) t[l[1]].push(parseXMLAttrs(l[2]).type);
+    unitTypes.push(t);
+  }
+  try {
+    return parseUTT({ moveConflictResolutionStrategy: Number(parseXMLAttrs(table[1]).moveConflictResolutionStrategy) || 1, unitTypes });
+  } catch (err) {
+    return null;  // an unusable table leaves the active one in place
+  }
+}
+
+// ============================================================
+// CONVERSION
+// ============================================================
+// Order that issues a recorded unit action; null for noops and actions that
+// don't apply to the board
+function traceActionOrder(map, unitId, action) {
+  const u = map.units.find(x => x.id === unitId);
+  if (!u || u.type === 'resource') return null;
+  const dir = PATH_DIRS[action.parameter];
+  const next = dir && { x: u.x + dir[0], y: u.y + dir[1] };
+  switch (action.type) {
+    case 1: return next && { unit: u.id, action: 'move', target: next, once: true };
+    case 2: return next && { unit: u.id, action: 'harvest', target: next, once: true };
+    case 3: return next && { unit: u.id, action: 'return', target: next, once: true };
+    case 4: {
+      const unitType = MICRORTS_UNIT_TYPES[action.unitType];
+      return next && unitType ? { unit: u.id, action: 'produce', unitType, target: next } : null;
+    }
+    case 5: {
+      const target = map.units.find(t => t.x === action.x && t.y === action.y && t.type !== 'resource');
+      return target ? { unit: u.id, action: 'attack', target: target.id, once: true } : null;
+    }
+    default: return null;
+  }
+}
+
+// A replay of the trace, playable with openReplay(). It uses the trace's
+// unit type table if it has a usable one, else the active table.
+function traceToReplay(text, name = 'trace') {
+  const trace = parseTrace(text, name);
+  const utt = trace.utt ? { name, utt: trace.utt } : CONFIG.UTT;
+  const first = trace.entries[0];
+  const initial = stateFromMap(first.map, 0);
+  initial.cycle = first.time;
+
+  const steps = [];
+  const syncs = [];
+  for (const entry of trace.entries) {
+    if (entry !== first) syncs.push([entry.time, entry.map]);
+    const orders = {};
+    for (const { unit, action } of entry.actions) {
+      const order = traceActionOrder(entry.map, unit, action);
+      if (!order) continue;
+      const owner = entry.map.units.find(u => u.id === unit).player + 1;
+      (orders[owner] = orders[owner] || []).push(order);
+    }
+    if (Object.keys(orders).length) steps.push([entry.time + 1, orders]);
+  }
+  return {
+    format: REPLAY_FORMAT,
+    version: 1,
+    map: first.map,
+    seed: 0,
+    utt,
+    initial,
+    endCycle: trace.entries[trace.entries.length - 1].time,
+    steps,
+    syncs,
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * BlazeCraft Enhanced Unit Type Tables
+ * MicroRTS UnitTypeTable definitions in the JSON shape UnitTypeTable.toJSON()
+ * produces, and applyUTT() to make one the active table. The active UTT
+ * fills in the stats of CONFIG.UNIT_TYPES (costs, hit points, damage ranges,
+ * per-action durations in cycles, sight radius, produces lists), which the
+ * simulation and the view read. DOM-free.
+ */
+
+// ============================================================
+// BUILT-IN TABLES
+// ============================================================
+// rts.units.UnitType field defaults
+const UTT_TYPE_DEFAULTS = {
+  cost: 1, hp: 1, minDamage: 1, maxDamage: 1, attackRange: 1,
+  produceTime: 10, moveTime: 10, attackTime: 10, harvestTime: 10, returnTime: 10,
+  harvestAmount: 1, sightRadius: 4,
+  isResource: false, isStockpile: false, canHarvest: false, canMove: true, canAttack: true,
+};
+
+// Mirrors the UnitTypeTable(version) constructor
+function buildUTT(version) {
+  const finetuned = version === 2;
+  const types = [
+    { name: 'Resource', isResource: true, canMove: false, canAttack: false, sightRadius: 0 },
+    { name: 'Base', cost: 10, hp: 10, produceTime: finetuned ? 200 : 250, isStockpile: true,
+      canMove: false, canAttack: false, sightRadius: 5, produces: ['Worker'] },
+    { name: 'Barracks', cost: 5, hp: 4, produceTime: finetuned ? 100 : 200,
+      canMove: false, canAttack: false, sightRadius: 3, produces: ['Light', 'Heavy', 'Ranged'] },
+    { name: 'Worker', cost: 1, hp: 1, produceTime: 50, moveTime: 10, attackTime: 5, harvestTime: 20,
+      returnTime: 10, canHarvest: true, sightRadius: 3, produces: ['Base', 'Barracks'] },
+    { name: 'Light', cost: 2, hp: 4, minDamage: 2, maxDamage: 2, produceTime: 80, moveTime: 8,
+      attackTime: 5, sightRadius: 2 },
+    { name: 'Heavy', cost: finetuned ? 3 : 2, hp: finetuned ? 8 : 4, minDamage: 4, maxDamage: 4,
+      produceTime: 120, moveTime: finetuned ? 10 : 12, attackTime: 5, sightRadius: 2 },
+    { name: 'Ranged', cost: 2, hp: 1, attackRange: 3, produceTime: 100, moveTime: 10,
+      attackTime: 5, sightRadius: 3 },
+  ];
+  if (version === 3) {
+    // VERSION_NON_DETERMINISTIC: same table with damage rolled per attack
+    Object.assign(types[3], { minDamage: 0, maxDamage: 2 });
+    Object.assign(types[4], { minDamage: 1, maxDamage: 3 });
+    Object.assign(types[5], { minDamage: 0, maxDamage: 6 });
+    Object.assign(types[6], { minDamage: 1, maxDamage: 2 });
+  }
+  const unitTypes = types.map((t, ID) => ({ ID, ...UTT_TYPE_DEFAULTS, produces: [], producedBy: [], ...t }));
+  for (const t of unitTypes) {
+    for (const name of t.produces) unitTypes.find(p => p.name === name).producedBy.push(t.name);
+  }
+  return { moveConflictResolutionStrategy: 1, unitTypes };
+}
+
+const UTT_VARIANTS = [
+  { id: 'v1', name: 'v1 (original)', utt: buildUTT(1) },
+  { id: 'v2', name: 'v2 (finetuned)', utt: buildUTT(2) },
+  { id: 'v3', name: 'v3 (non-deterministic)', utt: buildUTT(3) },
+];
+
+// ============================================================
+// LOAD & APPLY
+// ============================================================
+// Validate a UnitTypeTable JSON object. Every engine unit type must be present.
+function parseUTT(json) {
+  const utt = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!utt || !Array.isArray(utt.unitTypes)) throw new Error('not a MicroRTS unit type table (no unitTypes)');
+  for (const t of utt.unitTypes) {
+    if (!MICRORTS_UNIT_TYPES[t.name]) throw new Error(`unsupported unit type "${t.name}"`);
+    for (const field of ['cost', 'hp', 'minDamage', 'maxDamage', 'attackRange', 'produceTime', 'moveTime', 'attackTime', 'harvestTime', 'returnTime']) {
+      if (!Number.isFinite(t[field])) throw new Error(`${t.name}.${field} is missing`);
+    }
+  }
+  for (const name of Object.keys(MICRORTS_UNIT_TYPES)) {
+    if (!utt.unitTypes.some(t => t.name === name)) throw new Error(`unit type ${name} is missing`);
+  }
+  return utt;
+}
+
+// Make `utt` the active table: CONFIG.UNIT_TYPES keeps its display fields
+// (color, label) and takes every stat from the UTT.
+function applyUTT(utt, name = 'custom') {
+  utt = parseUTT(utt);
+  const key = n => MICRORTS_UNIT_TYPES[n];
+  for (const t of utt.unitTypes) {
+    const def = CONFIG.UNIT_TYPES[key(t.name)];
+    Object.assign(def, {
+      hp: t.hp,
+      cost: t.cost,
+      minDamage: t.minDamage,
+      maxDamage: t.maxDamage,
+      range: t.attackRange,
+      produceTime: t.produceTime,
+      moveTime: t.moveTime,
+      attackTime: t.attackTime,
+      harvestTime: t.harvestTime,
+      returnTime: t.returnTime,
+      harvestAmount: t.harvestAmount ?? 1,
+      sight: t.sightRadius ?? 4,
+      isResource: !!t.isResource,
+      isStockpile: !!t.isStockpile,
+      canHarvest: !!t.canHarvest,
+      canMove: !!t.canMove,
+      canAttack: !!t.canAttack,
+      isBuilding: !t.canMove,
+      produces: (t.produces || []).map(key),
+      producedBy: (t.producedBy || []).map(key),
+    });
+  }
+  CONFIG.UTT = { name, utt };
+  return CONFIG.UTT;
+}
+
+applyUTT(UTT_VARIANTS[0].utt, UTT_VARIANTS[0].id);
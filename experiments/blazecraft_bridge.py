@@ -0,0 +1,125 @@
+"""Stream a gym-microrts game to the BlazeCraft browser viewer.
+
+The viewer (blazecraft-enhanced/index.html) spectates over a local WebSocket:
+it connects to ws://localhost:<port> and shows every `state` message it gets
+(see blazecraft-enhanced/bridge.js for the protocol). This module is that
+server, standard library only:
+
+    bridge = BlazeCraftBridge(8765)
+    next_obs, rs, ds, infos = envs.step(actions)
+    bridge.send_state(game_state_json(envs.render_client), infos[0]["raw_rewards"])
+    if ds[0]:
+        bridge.send_reset()
+
+then open index.html?bridge=ws://localhost:8765 (or press Bridge in the top
+bar). `python ppo_gridnet_eval.py --blazecraft-bridge 8765` does this for
+the first env.
+"""
+
+import base64
+import hashlib
+import json
+import socket
+import struct
+import threading
+import time
+
+WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+
+
+def game_state_json(client):
+    """The client's current rts.GameState as GameState.toJSON() writes it."""
+    from java.io import StringWriter
+
+    writer = StringWriter()
+    client.gs.toJSON(writer)
+    return json.loads(str(writer.toString()))
+
+
+def ws_frame(text):
+    payload = text.encode("utf-8")
+    n = len(payload)
+    if n < 126:
+        head = struct.pack("!BB", 0x81, n)
+    elif n < 65536:
+        head = struct.pack("!BBH", 0x81, 126, n)
+    else:
+        head = struct.pack("!BBQ", 0x81, 127, n)
+    return head + payload
+
+
+class BlazeCraftBridge:
+    """A WebSocket server that broadcasts bridge messages to every open page."""
+
+    def __init__(self, port=8765, host="localhost"):
+        self.clients = set()
+        self.lock = threading.Lock()
+        self.server = socket.create_server((host, port))
+        threading.Thread(target=self._accept, daemon=True).start()
+        print(f"BlazeCraft bridge on ws://{host}:{port}")
+
+    def _accept(self):
+        while True:
+            conn, _ = self.server.accept()
+            threading.Thread(target=self._handshake, args=(conn,), daemon=True).start()
+
+    def _handshake(self, conn):
+        request = b""
+        while b"\r\n\r\n" not in request:
+            chunk = conn.recv(4096)
+            if not chunk:
+                conn.close()
+                return
+            request += chunk
+        headers = {}
+        for line in request.decode("latin-1").split("\r\n")[1:]:
+            if ":" in line:
+                key, value = line.split(":", 1)
+                headers[key.strip().lower()] = value.strip()
+        key = headers.get("sec-websocket-key")
+        if not key:
+            conn.close()
+            return
+        accept = base64.b64encode(hashlib.sha1((key + WS_GUID).encode()).digest()).decode()
+        conn.sendall(
+            (
+                "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n"
+                f"Sec-WebSocket-Accept: {accept}\r\n\r\n"
+            ).encode()
+        )
+        with self.lock:
+            self.clients.add(conn)
+        # Pages only ever send a close frame (opcode 8)
+        try:
+            while True:
+                data = conn.recv(4096)
+                if not data or data[0] & 0x0F == 8:
+                    break
+        except OSError:
+            pass
+        self._drop(conn)
+
+    def _drop(self, conn):
+        with self.lock:
+            self.clients.discard(conn)
+        conn.close()
+
+    def broadcast(self, msg):
+        frame = ws_frame(json.dumps(msg))
+        with self.lock:
+            clients = list(self.clients)
+        for conn in clients:
+            try:
+                conn.sendall(frame)
+            except OSError:
+                self._drop(conn)
+
+    def send_state(self, gs, rewards=None, env=0):
+        """`gs` as game_state_json() returns it; `rewards` the env's raw_rewards."""
+        msg = {"type": "state", "gs": gs, "sent": time.time() * 1000, "env": env}
+        if rewards is not None:
+            msg["rewards"] = [float(r) for r in rewards]
+        self.broadcast(msg)
+
+    def send_reset(self, env=0):
+        self.broadcast({"type": "reset", "sent": time.time() * 1000, "env": env})
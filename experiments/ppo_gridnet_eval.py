@@ -54,6 +54,8 @@ def parse_args():
         help='the opponent AI to evaluate against')
     parser.add_argument('--model-type', type=str, default=f"ppo_gridnet", choices=["ppo_gridnet_large", "ppo_gridnet"],
         help='the output path of the leaderboard csv')
+    parser.add_argument('--blazecraft-bridge', type=int, default=0,
+        help='if set, stream the first env to the BlazeCraft viewer on this WebSocket port (see blazecraft_bridge.py)')
     args = parser.parse_args()
     if not args.seed:
         args.seed = int(time.time())
@@ -131,6 +133,12 @@ if __name__ == "__main__":
     agent = Agent(envs).to(device)
     agent2 = Agent(envs).to(device)
 
+    bridge = None
+    if args.blazecraft_bridge:
+        from blazecraft_bridge import BlazeCraftBridge, game_state_json
+
+        bridge = BlazeCraftBridge(args.blazecraft_bridge)
+
     # ALGO Logic: Storage for epoch data
     mapsize = 16 * 16
     invalid_action_shape = (mapsize, envs.action_plane_space.nvec.sum())
@@ -192,6 +200,10 @@ if __name__ == "__main__":
             except Exception as e:
                 e.printStackTrace()
                 raise
+            if bridge:
+                bridge.send_state(game_state_json(envs.render_client), infos[0]["raw_rewards"])
+                if ds[0]:
+                    bridge.send_reset()
 
             for idx, info in enumerate(infos):
                 if "episode" in info.keys():